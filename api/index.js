@@ -2,6 +2,9 @@ const serverless = require('serverless-http');
 const app = require('../app');
 const dbConnect = require('../utils/db');
 
+// Routes that need a long-lived connection (the event stream) check this and fall back
+app.set('serverless', true);
+
 const handler = serverless(app);
 
 module.exports = async (req, res) => {
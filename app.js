@@ -11,9 +11,16 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const bookRoutes = require('./routes/books');
 const swapRoutes = require('./routes/swaps');
+const cycleRoutes = require('./routes/cycles');
+const loanRoutes = require('./routes/loans');
+const giveawayRoutes = require('./routes/giveaways');
+const savedSearchRoutes = require('./routes/savedSearches');
+const uploadRoutes = require('./routes/uploads');
 const reviewRoutes = require('./routes/reviews');
 const adminRoutes = require('./routes/admin');
+const eventRoutes = require('./routes/events');
 const { errorHandler } = require('./middleware/errorHandler');
+const { LOCAL_UPLOAD_ROUTE } = require('./services/storage');
 
 const app = express();
 
@@ -34,9 +41,9 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Body parsing middleware (images go through the multipart upload routes, not JSON)
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 app.use(cookieParser());
 
 // Session configuration
@@ -57,13 +64,32 @@ app.use(passport.session());
 // Passport configuration
 require('./config/passport');
 
+// Background job registration (timers are started by server.js)
+require('./config/jobs');
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/books', bookRoutes);
 app.use('/api/swaps', swapRoutes);
+app.use('/api/cycles', cycleRoutes);
+app.use('/api/loans', loanRoutes);
+app.use('/api/giveaways', giveawayRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/uploads', uploadRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/events', eventRoutes);
+
+// Uploaded images, when stored on local disk
+if ((process.env.STORAGE_DRIVER || 'local').toLowerCase() === 'local') {
+  app.use(LOCAL_UPLOAD_ROUTE, express.static(process.env.UPLOAD_DIR || 'uploads', {
+    maxAge: '365d',
+    immutable: true,
+    // The frontend runs on another origin
+    setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,57 @@
+const scheduler = require('../services/scheduler');
+const { expireStaleSwaps } = require('../services/swapExpiryService');
+const { autoCompleteSwaps } = require('../services/swapCompletionService');
+const { sendDueReminders } = require('../services/reminderService');
+const { processOverdueLoans } = require('../services/loanService');
+const { processWaitlists } = require('../services/waitlistService');
+const { sendDailyDigests } = require('../services/savedSearchService');
+const { runBatchMatching } = require('../services/matchingService');
+
+const MINUTE = 60 * 1000;
+
+// Background jobs. Timers are only started by server.js; under the serverless
+// entry point (api/index.js) jobs are triggered through /api/admin/jobs/:name/run.
+scheduler.register('expire-swaps', {
+  interval: 15 * MINUTE,
+  description: 'Mark overdue pending swap requests as expired and notify both parties',
+  handler: () => expireStaleSwaps()
+});
+
+scheduler.register('auto-complete-swaps', {
+  interval: 60 * MINUTE,
+  description: 'Complete swaps confirmed by one party once the other party\'s confirmation window has passed',
+  handler: () => autoCompleteSwaps()
+});
+
+scheduler.register('swap-reminders', {
+  interval: 15 * MINUTE,
+  description: 'Send meeting reminders (24h and 1h before), expiry nudges and review nudges',
+  handler: () => sendDueReminders()
+});
+
+scheduler.register('overdue-loans', {
+  interval: 60 * MINUTE,
+  description: 'Flag loans past their due date as overdue and remind borrowers daily',
+  handler: () => processOverdueLoans()
+});
+
+scheduler.register('waitlists', {
+  interval: 15 * MINUTE,
+  description: 'Expire lapsed waitlist priority windows and offer freed books to the next waiter',
+  handler: () => processWaitlists()
+});
+
+scheduler.register('saved-search-digests', {
+  interval: 60 * MINUTE,
+  description: 'Email each daily saved search the books listed since its last digest',
+  handler: () => sendDailyDigests()
+});
+
+// Manual only (no interval): an admin starts the community-wide matching run
+scheduler.register('match-swap-cycles', {
+  interval: null,
+  description: 'Find multi-party swap cycles across all want-lists and propose them',
+  handler: () => runBatchMatching()
+});
+
+module.exports = scheduler;
@@ -1,11 +1,29 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
-// Verify JWT token
-const authenticateToken = async (req, res, next) => {
+// Scope and lifetime of the tokens EventSource clients pass as ?token=. Query strings end up
+// in access logs and browser history, so they only ever carry these, never the login token.
+const STREAM_TOKEN_SCOPE = 'events';
+const STREAM_TOKEN_EXPIRES_IN = 60;
+
+// Read the token from the Authorization header
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+// Issue a short-lived token that only opens the user's event stream
+const generateStreamToken = userId => jwt.sign(
+  { userId, scope: STREAM_TOKEN_SCOPE },
+  process.env.JWT_SECRET,
+  { expiresIn: STREAM_TOKEN_EXPIRES_IN }
+);
+
+// Build a JWT-verifying middleware around a token extractor, which returns the token
+// and the scope it must carry (none for login tokens)
+const createAuthenticator = (getToken) => async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const { token, scope = null } = getToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -15,6 +33,13 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if ((decoded.scope || null) !== scope) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -55,6 +80,16 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Verify JWT token
+const authenticateToken = createAuthenticator(req => ({ token: getBearerToken(req) }));
+
+// Verify the login JWT from the Authorization header or, for clients that cannot set
+// headers (EventSource), a stream token from ?token=
+const authenticateStreamToken = createAuthenticator((req) => {
+  const token = getBearerToken(req);
+  return token ? { token } : { token: req.query.token, scope: STREAM_TOKEN_SCOPE };
+});
+
 // Check if user has admin role
 const requireAdmin = (req, res, next) => {
   if (!req.user) {
@@ -98,12 +133,11 @@ const requireRole = (role) => {
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
+    const token = getBearerToken(req);
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const user = decoded.scope ? null : await User.findById(decoded.userId).select('-password');
       
       if (user && user.isActive) {
         req.user = user;
@@ -120,6 +154,9 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   auth: authenticateToken,
   authenticateToken,
+  authenticateStreamToken,
+  generateStreamToken,
+  STREAM_TOKEN_EXPIRES_IN,
   requireAdmin,
   requireRole,
   optionalAuth
@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const { isValidIsbn13 } = require('../utils/isbn');
+const { fuzzPoint } = require('../utils/geo');
+
+// Best to worst
+const CONDITIONS = ['New', 'Like New', 'Very Good', 'Good', 'Fair', 'Poor'];
+const LISTING_TYPES = ['swap', 'giveaway'];
+const GIVEAWAY_MODES = ['first_come', 'choose'];
+
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  }
+}, { _id: false });
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -13,10 +32,17 @@ const bookSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  // Stored as ISBN-13 (see utils/isbn). Not unique: every copy of an edition shares it.
   isbn: {
     type: String,
     trim: true,
-    sparse: true // Allows multiple null values but unique non-null values
+    validate: {
+      // Only checked when set, so books listed before validation existed stay editable
+      validator: function(value) {
+        return !value || !this.isModified('isbn') || isValidIsbn13(value);
+      },
+      message: 'ISBN must be a valid ISBN-13'
+    }
   },
   genre: {
     type: String,
@@ -33,7 +59,7 @@ const bookSchema = new mongoose.Schema({
   condition: {
     type: String,
     required: true,
-    enum: ['New', 'Like New', 'Very Good', 'Good', 'Fair', 'Poor'],
+    enum: CONDITIONS,
     default: 'Good'
   },
   description: {
@@ -49,6 +75,17 @@ const bookSchema = new mongoose.Schema({
   images: [{
     type: String
   }],
+  // Every generated size of uploaded images, keyed by size name (see services/imageService).
+  // imageVariants runs parallel to images; externally linked images have an empty entry.
+  coverVariants: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
+  imageVariants: [{
+    type: Map,
+    of: String
+  }],
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -66,6 +103,30 @@ const bookSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // 'giveaway' listings are given away for free instead of swapped
+  listingType: {
+    type: String,
+    enum: LISTING_TYPES,
+    default: 'swap'
+  },
+  // How a giveaway recipient is picked: the first request wins, or the owner chooses
+  giveawayMode: {
+    type: String,
+    enum: GIVEAWAY_MODES,
+    default: 'choose'
+  },
+  // Priority window for the first waitlisted user after the book is freed (see WaitlistEntry)
+  priorityHold: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -89,6 +150,11 @@ const bookSchema = new mongoose.Schema({
     type: Number,
     min: 1
   },
+  // The owner's position, fuzzed (see utils/geo); exact coordinates stay on the User
+  geo: {
+    type: pointSchema,
+    default: undefined
+  },
   location: {
     type: String,
     trim: true,
@@ -101,19 +167,55 @@ const bookSchema = new mongoose.Schema({
   swapCount: {
     type: Number,
     default: 0
-  }
+  },
+  previousOwners: [{
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    ownerEmail: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    swap: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Swap'
+    },
+    swapCycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SwapCycle'
+    },
+    giveaway: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiveawayRequest'
+    },
+    transferredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
 // Indexes for better query performance
-bookSchema.index({ title: 'text', author: 'text', description: 'text' });
+// Full-text search, ranked by field. A collection holds a single text index; the older
+// unweighted one is dropped at startup by utils/indexes.js.
+bookSchema.index(
+  { title: 'text', author: 'text', tags: 'text', description: 'text' },
+  { name: 'book_text_search', weights: { title: 10, author: 5, tags: 3, description: 1 } }
+);
 bookSchema.index({ owner: 1 });
+bookSchema.index({ isbn: 1 });
 bookSchema.index({ genre: 1 });
 bookSchema.index({ condition: 1 });
 bookSchema.index({ language: 1 });
 bookSchema.index({ isAvailable: 1, isActive: 1 });
+bookSchema.index({ listingType: 1, isAvailable: 1 });
 bookSchema.index({ location: 1 });
+bookSchema.index({ geo: '2dsphere' });
 bookSchema.index({ createdAt: -1 });
 
 // Virtual for book's full display name
@@ -130,32 +232,6 @@ bookSchema.statics.findAvailable = function(filters = {}) {
   }).populate('owner', 'username firstName lastName location rating');
 };
 
-// Static method to search books
-bookSchema.statics.searchBooks = function(query, filters = {}) {
-  const searchCriteria = {
-    $and: [
-      { isAvailable: true, isActive: true },
-      {
-        $or: [
-          { title: { $regex: query, $options: 'i' } },
-          { author: { $regex: query, $options: 'i' } },
-          { description: { $regex: query, $options: 'i' } },
-          { tags: { $in: [new RegExp(query, 'i')] } }
-        ]
-      }
-    ]
-  };
-
-  if (filters.genre) searchCriteria.$and.push({ genre: filters.genre });
-  if (filters.condition) searchCriteria.$and.push({ condition: filters.condition });
-  if (filters.language) searchCriteria.$and.push({ language: filters.language });
-  if (filters.location) searchCriteria.$and.push({ location: { $regex: filters.location, $options: 'i' } });
-
-  return this.find(searchCriteria)
-    .populate('owner', 'username firstName lastName location rating')
-    .sort({ createdAt: -1 });
-};
-
 // Method to increment view count
 bookSchema.methods.incrementViewCount = function() {
   this.viewCount += 1;
@@ -167,10 +243,50 @@ bookSchema.methods.canEdit = function(userId) {
   return this.owner.toString() === userId.toString();
 };
 
+// Method to check whether someone else's waitlist priority window blocks this user
+bookSchema.methods.isHeldFrom = function(userId, now = new Date()) {
+  const hold = this.priorityHold;
+  return Boolean(hold && hold.user && hold.expiresAt > now && hold.user.toString() !== userId.toString());
+};
+
+// Method to hand this copy over to a new owner, recording the previous one.
+// `source` names the swap, swap cycle or giveaway that moved the book.
+bookSchema.methods.transferTo = function(newOwner, source = {}) {
+  this.previousOwners.push({
+    owner: this.owner,
+    ownerEmail: this.ownerEmail,
+    swap: source.swap,
+    swapCycle: source.swapCycle,
+    giveaway: source.giveaway,
+    transferredAt: new Date()
+  });
+
+  this.owner = newOwner._id;
+  this.ownerEmail = newOwner.email;
+  if (newOwner.location) this.location = newOwner.location;
+  if (newOwner.geo) this.geo = fuzzPoint(newOwner.geo, newOwner._id);
+  // The new owner decides when to relist the copy
+  this.isAvailable = false;
+  return this.save();
+};
+
+// Method to make the book available for swapping again
+bookSchema.methods.relist = function() {
+  this.isAvailable = true;
+  return this.save();
+};
+
 // Transform output (remove sensitive data)
 bookSchema.methods.toJSON = function() {
   const book = this.toObject();
+  if (book.previousOwners) {
+    book.previousOwners = book.previousOwners.map(({ ownerEmail, ...entry }) => entry);
+  }
   return book;
 };
 
+bookSchema.statics.CONDITIONS = CONDITIONS;
+bookSchema.statics.LISTING_TYPES = LISTING_TYPES;
+bookSchema.statics.GIVEAWAY_MODES = GIVEAWAY_MODES;
+
 module.exports = mongoose.model('Book', bookSchema);
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const withTransaction = require('../utils/transaction');
+const { AppError } = require('../utils/errors');
+
+const REQUEST_STATUSES = ['pending', 'accepted', 'declined', 'cancelled'];
+
+const giveawayRequestSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: REQUEST_STATUSES,
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+giveawayRequestSchema.index({ book: 1, status: 1, createdAt: 1 });
+giveawayRequestSchema.index({ requester: 1, status: 1 });
+giveawayRequestSchema.index({ owner: 1, status: 1 });
+
+// Static method to find the earliest pending request for a book (first-come giveaways)
+giveawayRequestSchema.statics.findFirstPending = function(bookId, filters = {}) {
+  return this.findOne({ book: bookId, status: 'pending', ...filters }).sort({ createdAt: 1 });
+};
+
+// Static method to award a first-come giveaway to its earliest eligible request.
+// The pick and the award share one transaction, so concurrent requests cannot both
+// win. While the book is held for a waitlisted user, only their request is eligible.
+// Resolves to the awarded request (with $locals.declinedRequests), or null.
+giveawayRequestSchema.statics.awardFirstPending = async function(bookId) {
+  const Book = mongoose.model('Book');
+  let winner = null;
+
+  try {
+    await withTransaction(async (session) => {
+      winner = null;
+      const book = await Book.findById(bookId).select('priorityHold').session(session);
+      if (!book) return;
+
+      const hold = book.priorityHold;
+      const held = hold && hold.user && hold.expiresAt > new Date();
+      winner = await this.findFirstPending(bookId, held ? { requester: hold.user } : {}).session(session);
+      if (!winner) return;
+
+      winner.status = 'accepted';
+      winner.respondedAt = new Date();
+      await winner.save({ session });
+    });
+  } finally {
+    if (winner) winner.$session(null);
+  }
+  return winner;
+};
+
+// Method to check if user is the owner
+giveawayRequestSchema.methods.isOwner = function(userId) {
+  return this.owner.toString() === userId.toString();
+};
+
+// Method to check if user is the requester
+giveawayRequestSchema.methods.isRequester = function(userId) {
+  return this.requester.toString() === userId.toString();
+};
+
+// Method to award the book to this requester.
+// Returns the other requests that were declined as a result.
+giveawayRequestSchema.methods.accept = async function() {
+  if (this.status !== 'pending') {
+    throw new AppError(`Cannot accept a ${this.status} giveaway request`, 400);
+  }
+  this.status = 'accepted';
+  this.respondedAt = new Date();
+  await this.saveInTransaction();
+  return this.$locals.declinedRequests || [];
+};
+
+// Method for the requester to withdraw
+giveawayRequestSchema.methods.cancel = function() {
+  if (this.status !== 'pending') {
+    throw new AppError(`Cannot cancel a ${this.status} giveaway request`, 400);
+  }
+  this.status = 'cancelled';
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+// Method to persist an award and its side effects atomically
+giveawayRequestSchema.methods.saveInTransaction = async function() {
+  try {
+    await withTransaction(session => this.save({ session }));
+  } finally {
+    // Detach the ended session so later populate/save calls don't reuse it
+    this.$session(null);
+  }
+  return this;
+};
+
+// Pre-save middleware to hand the book over when a request is accepted
+giveawayRequestSchema.pre('save', async function(next) {
+  if (this.isNew || !this.isModified('status') || this.status !== 'accepted') return next();
+
+  const Book = mongoose.model('Book');
+  const User = mongoose.model('User');
+  const session = this.$session();
+
+  try {
+    // Claim the request and the book with conditional updates: a concurrent award
+    // of either makes one of them fail instead of giving the book away twice
+    const claimed = await this.constructor.updateOne(
+      { _id: this._id, status: 'pending' },
+      { status: 'accepted', respondedAt: this.respondedAt },
+      { session }
+    );
+    if (claimed.modifiedCount !== 1) {
+      throw new AppError('This giveaway request has already been answered', 409);
+    }
+
+    const book = await Book.findOne({
+      _id: this.book,
+      owner: this.owner,
+      listingType: 'giveaway',
+      isAvailable: true,
+      isActive: true
+    }).session(session);
+    if (!book) {
+      throw new AppError('This giveaway is no longer available', 409);
+    }
+    if (book.isHeldFrom(this.requester)) {
+      throw new AppError('This book is reserved for someone on its waitlist for now', 409);
+    }
+
+    const taken = await Book.updateOne(
+      { _id: book._id, isAvailable: true },
+      { isAvailable: false },
+      { session }
+    );
+    if (taken.modifiedCount !== 1) {
+      throw new AppError('This giveaway is no longer available', 409);
+    }
+
+    const recipient = await User.findById(this.requester).select('email location geo').session(session);
+    if (!recipient) {
+      throw new AppError('The requester no longer exists', 400);
+    }
+
+    // The new owner decides whether to swap or give the copy away again
+    book.listingType = 'swap';
+    await book.transferTo(recipient, { giveaway: this._id });
+
+    await User.updateOne({ _id: this.owner }, { $inc: { giveawaysGiven: 1 } }, { session });
+    await User.updateOne({ _id: this.requester }, { $inc: { giveawaysReceived: 1 } }, { session });
+
+    // Everyone else who asked for this copy is turned down
+    const others = await this.constructor.find({
+      _id: { $ne: this._id },
+      book: this.book,
+      status: 'pending'
+    }).select('requester').session(session);
+    await this.constructor.updateMany(
+      { _id: { $in: others.map(other => other._id) } },
+      { status: 'declined', respondedAt: new Date() },
+      { session }
+    );
+    this.$locals.declinedRequests = others;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+giveawayRequestSchema.statics.STATUSES = REQUEST_STATUSES;
+
+module.exports = mongoose.model('GiveawayRequest', giveawayRequestSchema);
@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const withTransaction = require('../utils/transaction');
+const { AppError } = require('../utils/errors');
+
+// Longest loan an owner can agree to
+const MAX_LOAN_DAYS = 90;
+
+const LOAN_STATUSES = ['requested', 'lent', 'returned', 'overdue', 'declined', 'cancelled'];
+
+// Allowed status changes; anything not listed here is rejected by transitionTo()
+const LOAN_TRANSITIONS = {
+  requested: ['lent', 'declined', 'cancelled'],
+  lent: ['returned', 'overdue'],
+  overdue: ['returned'],
+  returned: [],
+  declined: [],
+  cancelled: []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...LOAN_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: LOAN_STATUSES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for system changes (e.g. overdue sweep)
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const loanSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  borrower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: LOAN_STATUSES,
+    default: 'requested'
+  },
+  statusHistory: [statusChangeSchema],
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  responseMessage: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  lentAt: {
+    type: Date
+  },
+  returnedAt: {
+    type: Date
+  },
+  // Overdue reminders sent to the borrower
+  lastReminderAt: {
+    type: Date,
+    default: null
+  },
+  reminderCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+loanSchema.index({ owner: 1, status: 1 });
+loanSchema.index({ borrower: 1, status: 1 });
+loanSchema.index({ book: 1, status: 1 });
+loanSchema.index({ status: 1, dueDate: 1 });
+
+// Virtual for whether the book came back after the due date
+loanSchema.virtual('returnedLate').get(function() {
+  return Boolean(this.returnedAt && this.returnedAt > this.dueDate);
+});
+
+// Static method to find a user's loans as lender, borrower or either
+loanSchema.statics.findUserLoans = function(userId, { role = 'all', status = null } = {}) {
+  const query = {};
+  if (role === 'lender') {
+    query.owner = userId;
+  } else if (role === 'borrower') {
+    query.borrower = userId;
+  } else {
+    query.$or = [{ owner: userId }, { borrower: userId }];
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  return this.find(query)
+    .populate('book', 'title author coverImage condition')
+    .populate('owner', 'username firstName lastName avatar rating')
+    .populate('borrower', 'username firstName lastName avatar rating borrowerReliability')
+    .sort({ createdAt: -1 });
+};
+
+// Static method to check whether any of the given books is currently out on loan
+loanSchema.statics.hasCommittedBooks = async function(bookIds, { session = null } = {}) {
+  const existing = await this.exists({
+    book: { $in: bookIds },
+    status: { $in: ['lent', 'overdue'] },
+    isActive: true
+  }).session(session);
+  return Boolean(existing);
+};
+
+// Method to check if user is the owner or the borrower
+loanSchema.methods.isParty = function(userId) {
+  return this.owner.toString() === userId.toString() ||
+         this.borrower.toString() === userId.toString();
+};
+
+// Method to check if user is the owner
+loanSchema.methods.isOwner = function(userId) {
+  return this.owner.toString() === userId.toString();
+};
+
+// Method to check if user is the borrower
+loanSchema.methods.isBorrower = function(userId) {
+  return this.borrower.toString() === userId.toString();
+};
+
+// Method to check whether the loan may move to the given status
+loanSchema.methods.canTransitionTo = function(status) {
+  return (LOAN_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change status, validating it and recording the change in history
+loanSchema.methods.transitionTo = function(status, { actor = null, message = '' } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(`Cannot change a ${this.status} loan to ${status}`, 400);
+  }
+  this.statusHistory.push({ from: this.status, to: status, actor, message });
+  this.status = status;
+};
+
+// Method for the owner to hand the book over, optionally setting a new due date
+loanSchema.methods.lend = function(actor, { dueDate, responseMessage = '' } = {}) {
+  // The requested due date may have passed while the request waited; a loan must not start overdue
+  if ((dueDate || this.dueDate) <= new Date()) {
+    throw new AppError('The requested due date has passed; set a new due date to lend the book', 400);
+  }
+  this.transitionTo('lent', { actor, message: responseMessage });
+  if (dueDate) this.dueDate = dueDate;
+  this.responseMessage = responseMessage;
+  this.lentAt = new Date();
+  return this.saveInTransaction();
+};
+
+// Method for the owner to turn a request down
+loanSchema.methods.decline = function(actor, responseMessage = '') {
+  this.transitionTo('declined', { actor, message: responseMessage });
+  this.responseMessage = responseMessage;
+  return this.saveInTransaction();
+};
+
+// Method for the borrower to withdraw a request
+loanSchema.methods.cancel = function(actor) {
+  this.transitionTo('cancelled', { actor });
+  return this.saveInTransaction();
+};
+
+// Method for the owner to confirm the book came back
+loanSchema.methods.markReturned = function(actor) {
+  this.transitionTo('returned', { actor });
+  this.returnedAt = new Date();
+  return this.saveInTransaction();
+};
+
+// Method to flag a loan whose due date has passed
+loanSchema.methods.markOverdue = function() {
+  this.transitionTo('overdue', { message: 'Due date passed without a return' });
+  return this.saveInTransaction();
+};
+
+// Method to persist a status change and its side effects atomically
+loanSchema.methods.saveInTransaction = async function() {
+  try {
+    await withTransaction(session => this.save({ session }));
+  } finally {
+    // Detach the ended session so later populate/save calls don't reuse it
+    this.$session(null);
+  }
+  return this;
+};
+
+// Due dates must be in the future and within the maximum loan length
+loanSchema.path('dueDate').validate(function(value) {
+  if (!this.isModified('dueDate')) return true;
+  const start = this.lentAt || this.createdAt || new Date();
+  return value > new Date() && value - start <= MAX_LOAN_DAYS * 24 * 60 * 60 * 1000;
+}, `Due date must be in the future and within ${MAX_LOAN_DAYS} days`);
+
+// Count a loan outcome against the borrower and refresh their reliability score
+const recordBorrowerOutcome = async (borrowerId, outcome, session) => {
+  const User = mongoose.model('User');
+  const borrower = await User.findById(borrowerId).session(session);
+  if (!borrower) return;
+
+  borrower.borrowerStats[outcome] += 1;
+  borrower.updateBorrowerReliability();
+  await borrower.save({ session });
+};
+
+// Pre-save middleware to seed history and handle book availability
+loanSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: this.status, actor: this.borrower, message: this.message });
+    }
+    return next();
+  }
+
+  if (!this.isModified('status')) return next();
+
+  const Book = mongoose.model('Book');
+  const Swap = mongoose.model('Swap');
+  const session = this.$session();
+
+  try {
+    if (this.status === 'lent') {
+      // Swap.hasCommittedBooks also covers other loans of the same copy
+      if (await Swap.hasCommittedBooks([this.book], { session })) {
+        throw new AppError('This book is already committed to a swap or another loan', 409);
+      }
+
+      const result = await Book.updateOne(
+        // Giveaway listings are given away, not lent (the listing may have changed since the request)
+        { _id: this.book, owner: this.owner, isAvailable: true, isActive: true, listingType: { $ne: 'giveaway' } },
+        { isAvailable: false },
+        { session }
+      );
+      if (result.modifiedCount !== 1) {
+        throw new AppError('This book is no longer available', 409);
+      }
+    } else if (this.status === 'overdue') {
+      await recordBorrowerOutcome(this.borrower, 'overdue', session);
+    } else if (this.status === 'returned') {
+      await Book.updateOne({ _id: this.book }, { isAvailable: true }, { session });
+
+      // Overdue loans were already counted when they went overdue
+      const previousStatus = this.statusHistory[this.statusHistory.length - 1].from;
+      if (previousStatus === 'lent') {
+        const outcome = this.returnedAt > this.dueDate ? 'overdue' : 'returnedOnTime';
+        await recordBorrowerOutcome(this.borrower, outcome, session);
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+loanSchema.statics.STATUSES = LOAN_STATUSES;
+loanSchema.statics.MAX_LOAN_DAYS = MAX_LOAN_DAYS;
+
+module.exports = mongoose.model('Loan', loanSchema);
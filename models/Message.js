@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  swap: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Swap',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+messageSchema.index({ swap: 1, createdAt: -1 });
+messageSchema.index({ recipient: 1, readAt: 1 });
+
+// Static method to page through a swap's thread, newest first
+messageSchema.statics.findThread = function(swapId, { page = 1, limit = 20 } = {}) {
+  return this.find({ swap: swapId, isActive: true })
+    .populate('sender', 'username firstName lastName avatar')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+// Static method to mark everything a user has received in a thread as read
+messageSchema.statics.markThreadRead = function(swapId, userId) {
+  return this.updateMany(
+    { swap: swapId, recipient: userId, readAt: null },
+    { readAt: new Date() }
+  );
+};
+
+// Static method to count unread messages in a thread for a user
+messageSchema.statics.countUnread = function(swapId, userId) {
+  return this.countDocuments({
+    swap: swapId,
+    recipient: userId,
+    readAt: null,
+    isActive: true
+  });
+};
+
+module.exports = mongoose.model('Message', messageSchema);
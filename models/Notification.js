@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Notifications are kept for 30 days; they back the event stream and the long-poll fallback
+const NOTIFICATION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ user: 1, _id: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_SECONDS });
+
+// Static method to fetch a user's notifications newer than a given id (oldest first)
+notificationSchema.statics.findSince = function(userId, sinceId = null, limit = 50) {
+  const query = { user: userId };
+  if (sinceId) {
+    query._id = { $gt: sinceId };
+  }
+
+  return this.find(query)
+    .sort({ _id: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
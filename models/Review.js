@@ -54,7 +54,7 @@ reviewSchema.statics.findUserReviews = function(userId) {
     isActive: true
   })
     .populate('reviewer', 'username firstName lastName avatar')
-    .populate('swap', 'requestedBook offeredBook')
+    .populate('swap', 'requestedBook offeredBook requestedBooks offeredBooks')
     .sort({ createdAt: -1 });
 };
 
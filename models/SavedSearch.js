@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Most saved searches a single user can keep
+const MAX_SAVED_SEARCHES = 20;
+
+// instant: alert on every new match; daily: one digest a day; none: no alerts
+const ALERT_FREQUENCIES = ['instant', 'daily', 'none'];
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Same filters as GET /api/books (see utils/bookFilters)
+  filters: {
+    search: { type: String, trim: true },
+    genre: { type: String, trim: true },
+    condition: { type: String, trim: true },
+    language: { type: String, trim: true },
+    location: { type: String, trim: true },
+    listingType: { type: String, trim: true }
+  },
+  alertFrequency: {
+    type: String,
+    enum: ALERT_FREQUENCIES,
+    default: 'daily'
+  },
+  // Daily digests cover books listed since this point
+  lastDigestAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertFrequency: 1, lastDigestAt: 1 });
+
+savedSearchSchema.statics.ALERT_FREQUENCIES = ALERT_FREQUENCIES;
+savedSearchSchema.statics.MAX_SAVED_SEARCHES = MAX_SAVED_SEARCHES;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
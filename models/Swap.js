@@ -1,4 +1,246 @@
 const mongoose = require('mongoose');
+const withTransaction = require('../utils/transaction');
+const { AppError } = require('../utils/errors');
+
+// How long the receiving party has to answer a request or counter-offer
+const RESPONSE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How long the other party has to confirm a hand-over before a single
+// confirmation completes the swap on its own
+const COMPLETION_CONFIRM_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How long after completion a participant may still open a dispute
+const DISPUTE_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+const DISPUTE_REASONS = ['condition_mismatch', 'no_show', 'not_received', 'wrong_book', 'other'];
+const DISPUTE_OUTCOMES = ['revert', 'complete', 'penalize'];
+
+const DELIVERY_METHODS = ['meetup', 'postal'];
+
+// Once a swap is agreed, each party may see the other's shipping address
+const ADDRESS_VISIBLE_STATUSES = ['accepted', 'completed', 'disputed'];
+
+// Scheduled reminders; each is sent at most once per swap (see reminderService)
+const REMINDER_KINDS = ['meeting_24h', 'meeting_1h', 'expiry', 'review'];
+
+// Largest number of books a single side of a bundle swap may contain
+const MAX_BUNDLE_SIZE = 10;
+
+const SWAP_STATUSES = ['pending', 'accepted', 'declined', 'completed', 'cancelled', 'expired', 'disputed'];
+
+// Allowed status changes; anything not listed here is rejected by transitionTo()
+const SWAP_TRANSITIONS = {
+  pending: ['accepted', 'declined', 'cancelled', 'expired'],
+  accepted: ['completed', 'cancelled', 'disputed'],
+  declined: [],
+  completed: ['disputed'],
+  cancelled: [],
+  expired: [],
+  // Only an admin resolution leaves a dispute
+  disputed: ['completed', 'cancelled']
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...SWAP_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: SWAP_STATUSES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null means the change was made by the system
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const bookBundle = {
+  type: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book'
+  }],
+  validate: {
+    validator: books => books.length <= MAX_BUNDLE_SIZE,
+    message: `A swap can include at most ${MAX_BUNDLE_SIZE} books per side`
+  }
+};
+
+// Compare two lists of book ids regardless of order
+const sameBooks = (a, b) => {
+  const left = a.map(id => id.toString()).sort();
+  const right = b.map(id => id.toString()).sort();
+  return left.length === right.length && left.every((id, index) => id === right[index]);
+};
+
+// One round of negotiation: the books on the table and who put them there
+const offerSchema = new mongoose.Schema({
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedBooks: bookBundle,
+  offeredBooks: bookBundle,
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const addressSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  line1: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  line2: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  region: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  postalCode: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 20
+  },
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  }
+}, { _id: false });
+
+// One party's side of a postal swap: where they receive books, the parcel
+// they send, and when they confirmed receiving the other party's parcel
+const shippingSideSchema = new mongoose.Schema({
+  address: {
+    type: addressSchema,
+    default: null
+  },
+  carrier: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  trackingNumber: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  shippedAt: {
+    type: Date,
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// A participant's complaint about an accepted or completed swap and its outcome
+const disputeSchema = new mongoose.Schema({
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: DISPUTE_REASONS,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  // Image URLs backing up the complaint
+  evidence: [{
+    type: String,
+    trim: true
+  }],
+  // Status the swap had when the dispute was opened
+  previousStatus: {
+    type: String,
+    enum: ['accepted', 'completed'],
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: [...DISPUTE_OUTCOMES, null],
+      default: null
+    },
+    penalizedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    penaltyPoints: {
+      type: Number,
+      default: 0
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: ''
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, { _id: false });
 
 const swapSchema = new mongoose.Schema({
   requester: {
@@ -21,11 +263,23 @@ const swapSchema = new mongoose.Schema({
     ref: 'Book',
     required: true
   },
+  // Every book on each side of the swap. requestedBook/offeredBook hold the
+  // first (lead) book of each side so single-book clients keep working.
+  requestedBooks: bookBundle,
+  offeredBooks: bookBundle,
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'declined', 'completed', 'cancelled'],
+    enum: SWAP_STATUSES,
     default: 'pending'
   },
+  statusHistory: [statusChangeSchema],
+  // Negotiation thread; the swap's books always mirror the latest offer
+  offers: [offerSchema],
+  awaitingResponseFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null on older swaps means the owner
+  },
   message: {
     type: String,
     trim: true,
@@ -46,13 +300,66 @@ const swapSchema = new mongoose.Schema({
   meetingDate: {
     type: Date
   },
+  deliveryMethod: {
+    type: String,
+    enum: DELIVERY_METHODS,
+    default: 'meetup'
+  },
+  // Postal swaps only; addresses are redacted by toJSON()/toJSONFor()
+  shipping: {
+    requester: {
+      type: shippingSideSchema,
+      default: null
+    },
+    owner: {
+      type: shippingSideSchema,
+      default: null
+    }
+  },
+  // iCalendar SEQUENCE, bumped whenever the meeting changes so calendars update the event
+  meetingSequence: {
+    type: Number,
+    default: 0
+  },
+  // When each party confirmed the hand-over; the swap completes once both have
+  completionConfirmations: {
+    requester: {
+      type: Date,
+      default: null
+    },
+    owner: {
+      type: Date,
+      default: null
+    }
+  },
+  // Set by the first confirmation; after this a single confirmation is enough
+  autoCompleteAt: {
+    type: Date,
+    default: null
+  },
   completedAt: {
     type: Date
   },
+  dispute: {
+    type: disputeSchema,
+    default: null
+  },
+  remindersSent: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: REMINDER_KINDS,
+      required: true
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   expiresAt: {
     type: Date,
     default: function() {
-      return new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
+      return new Date(Date.now() + RESPONSE_WINDOW_MS);
     }
   },
   isActive: {
@@ -68,6 +375,8 @@ swapSchema.index({ requester: 1 });
 swapSchema.index({ owner: 1 });
 swapSchema.index({ requestedBook: 1 });
 swapSchema.index({ offeredBook: 1 });
+swapSchema.index({ requestedBooks: 1 });
+swapSchema.index({ offeredBooks: 1 });
 swapSchema.index({ status: 1 });
 swapSchema.index({ createdAt: -1 });
 swapSchema.index({ expiresAt: 1 });
@@ -75,6 +384,10 @@ swapSchema.index({ expiresAt: 1 });
 // Compound indexes
 swapSchema.index({ requester: 1, status: 1 });
 swapSchema.index({ owner: 1, status: 1 });
+swapSchema.index({ awaitingResponseFrom: 1, status: 1 });
+swapSchema.index({ status: 1, autoCompleteAt: 1 });
+swapSchema.index({ 'dispute.openedAt': -1 });
+swapSchema.index({ status: 1, meetingDate: 1 });
 
 // Virtual for swap duration
 swapSchema.virtual('duration').get(function() {
@@ -103,21 +416,29 @@ swapSchema.statics.findUserSwaps = function(userId, status = null) {
     .populate('owner', 'username firstName lastName avatar rating')
     .populate('requestedBook', 'title author coverImage condition')
     .populate('offeredBook', 'title author coverImage condition')
+    .populate('requestedBooks', 'title author coverImage condition')
+    .populate('offeredBooks', 'title author coverImage condition')
     .sort({ createdAt: -1 });
 };
 
-// Static method to find pending swaps for a user
+// Static method to find pending swaps waiting on a user's response
 swapSchema.statics.findPendingSwaps = function(userId) {
   return this.find({
-    owner: userId,
+    $or: [
+      { awaitingResponseFrom: userId },
+      { owner: userId, awaitingResponseFrom: null }
+    ],
     status: 'pending',
     isActive: true,
     expiresAt: { $gt: new Date() }
   })
     .populate('requester', 'username firstName lastName avatar rating')
+    .populate('owner', 'username firstName lastName avatar rating')
     .populate('requestedBook', 'title author coverImage condition')
     .populate('offeredBook', 'title author coverImage condition')
-    .sort({ createdAt: -1 });
+    .populate('requestedBooks', 'title author coverImage condition')
+    .populate('offeredBooks', 'title author coverImage condition')
+    .sort({ updatedAt: -1 });
 };
 
 // Method to check if swap is expired
@@ -125,32 +446,308 @@ swapSchema.methods.isExpired = function() {
   return this.expiresAt < new Date() && this.status === 'pending';
 };
 
+// Static method to check whether any of the given books is held by an accepted
+// (or disputed) swap, an accepted swap cycle or an active loan
+swapSchema.statics.hasCommittedBooks = async function(bookIds, { excludeSwap = null, session = null } = {}) {
+  const query = {
+    $or: [
+      { requestedBooks: { $in: bookIds } },
+      { offeredBooks: { $in: bookIds } },
+      // Swaps created before bundles only carry the lead books
+      { requestedBook: { $in: bookIds } },
+      { offeredBook: { $in: bookIds } }
+    ],
+    // Books of a disputed swap stay frozen until an admin resolves it
+    status: { $in: ['accepted', 'disputed'] },
+    isActive: true
+  };
+
+  if (excludeSwap) {
+    query._id = { $ne: excludeSwap };
+  }
+
+  const existing = await this.exists(query).session(session);
+  if (existing) return true;
+
+  // Required lazily: SwapCycle and Loan themselves depend on this model
+  const SwapCycle = require('./SwapCycle');
+  if (await SwapCycle.hasCommittedBooks(bookIds, { session })) return true;
+
+  const Loan = require('./Loan');
+  return Loan.hasCommittedBooks(bookIds, { session });
+};
+
+// Static method to close pending swaps that involve books just committed to
+// another swap: requests for a committed book are declined, requests offering
+// one are cancelled. These are system changes, so history records no actor.
+// Returns the swaps it closed.
+swapSchema.statics.resolveConflicts = async function(bookIds, { excludeSwap = null, session = null } = {}) {
+  const conflicts = await this.find({
+    _id: { $ne: excludeSwap },
+    $or: [
+      { requestedBooks: { $in: bookIds } },
+      { offeredBooks: { $in: bookIds } },
+      { requestedBook: { $in: bookIds } },
+      { offeredBook: { $in: bookIds } }
+    ],
+    status: 'pending',
+    isActive: true
+  }).session(session);
+
+  const committed = bookIds.map(id => id.toString());
+
+  // Sequential on purpose: operations sharing a transaction session must not run in parallel
+  for (const swap of conflicts) {
+    const requested = swap.requestedBooks.length > 0 ? swap.requestedBooks : [swap.requestedBook];
+    if (requested.some(id => committed.includes(id.toString()))) {
+      const message = 'Automatically declined: a requested book was committed to another swap';
+      swap.transitionTo('declined', { message });
+      swap.responseMessage = message;
+    } else {
+      swap.transitionTo('cancelled', {
+        message: 'Automatically cancelled: an offered book was committed to another swap'
+      });
+    }
+    await swap.save({ session });
+  }
+
+  return conflicts;
+};
+
+// Method to list every book involved in the swap
+swapSchema.methods.bookIds = function() {
+  const requested = this.requestedBooks.length > 0 ? this.requestedBooks : [this.requestedBook];
+  const offered = this.offeredBooks.length > 0 ? this.offeredBooks : [this.offeredBook];
+  return [...requested, ...offered].map(book => (book && book._id) || book);
+};
+
+// Method to persist a status change and its side effects atomically
+swapSchema.methods.saveInTransaction = async function() {
+  try {
+    await withTransaction(session => this.save({ session }));
+  } finally {
+    // Detach the ended session so later populate/save calls don't reuse it
+    this.$session(null);
+  }
+  return this;
+};
+
+// Method to check whether the swap may move to the given status
+swapSchema.methods.canTransitionTo = function(status) {
+  return (SWAP_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change status, validating it against the transition table and
+// recording who made the change
+swapSchema.methods.transitionTo = function(status, { actor = null, message = '' } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(`Cannot change a ${this.status} swap to ${status}`, 400);
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    actor,
+    message,
+    changedAt: new Date()
+  });
+  this.status = status;
+};
+
 // Method to accept swap
-swapSchema.methods.accept = function(responseMessage = '', meetingDetails = {}) {
-  this.status = 'accepted';
+swapSchema.methods.accept = function(responseMessage = '', meetingDetails = {}, actor = null) {
+  this.transitionTo('accepted', { actor, message: responseMessage });
   this.responseMessage = responseMessage;
   if (meetingDetails.location) this.meetingLocation = meetingDetails.location;
   if (meetingDetails.date) this.meetingDate = meetingDetails.date;
-  return this.save();
+  return this.saveInTransaction();
 };
 
 // Method to decline swap
-swapSchema.methods.decline = function(responseMessage = '') {
-  this.status = 'declined';
+swapSchema.methods.decline = function(responseMessage = '', actor = null) {
+  this.transitionTo('declined', { actor, message: responseMessage });
   this.responseMessage = responseMessage;
-  return this.save();
+  return this.saveInTransaction();
 };
 
 // Method to complete swap
-swapSchema.methods.complete = function() {
-  this.status = 'completed';
+swapSchema.methods.complete = function(actor = null) {
+  this.transitionTo('completed', { actor });
   this.completedAt = new Date();
+  return this.saveInTransaction();
+};
+
+// Method to record one party's confirmation that the hand-over took place.
+// The swap only completes once both parties have confirmed (or, via
+// autoComplete(), once the confirmation window has passed).
+swapSchema.methods.confirmCompletion = function(userId) {
+  if (this.status !== 'accepted') {
+    throw new AppError('Only accepted swaps can be completed', 400);
+  }
+
+  const side = this.isRequester(userId) ? 'requester' : 'owner';
+  if (this.deliveryMethod === 'postal' && !(this.shipping[side] && this.shipping[side].receivedAt)) {
+    throw new AppError('Postal swaps are completed by confirming receipt of the parcel', 400);
+  }
+  if (!this.completionConfirmations[side]) {
+    this.completionConfirmations[side] = new Date();
+  }
+  if (!this.autoCompleteAt) {
+    this.autoCompleteAt = new Date(Date.now() + COMPLETION_CONFIRM_WINDOW_MS);
+  }
+
+  if (this.completionConfirmations.requester && this.completionConfirmations.owner) {
+    return this.complete(userId);
+  }
   return this.save();
 };
 
+// Method to check whether the given party has confirmed the hand-over
+swapSchema.methods.hasConfirmedCompletion = function(userId) {
+  const side = this.isRequester(userId) ? 'requester' : 'owner';
+  return Boolean(this.completionConfirmations[side]);
+};
+
+// Method to complete a swap that only one party confirmed in time
+swapSchema.methods.autoComplete = function() {
+  this.transitionTo('completed', {
+    message: 'Completed automatically after only one party confirmed the hand-over'
+  });
+  this.completedAt = new Date();
+  return this.saveInTransaction();
+};
+
+// Method to open a dispute on an accepted or completed swap
+swapSchema.methods.openDispute = function(userId, { reason, description = '', evidence = [] }) {
+  if (this.dispute) {
+    throw new AppError('A dispute has already been opened for this swap', 400);
+  }
+  if (this.status === 'completed' && this.completedAt &&
+      Date.now() - this.completedAt.getTime() > DISPUTE_WINDOW_MS) {
+    throw new AppError('The dispute window for this swap has closed', 400);
+  }
+
+  const previousStatus = this.status;
+  this.transitionTo('disputed', { actor: userId, message: description });
+  this.dispute = {
+    openedBy: userId,
+    reason,
+    description,
+    evidence,
+    previousStatus
+  };
+  return this.saveInTransaction();
+};
+
+// Method for an admin to resolve a dispute.
+// 'complete' upholds the swap; 'revert' undoes it (books go back to their
+// original owners); 'penalize' reverts it and adds penalty points to the
+// party at fault.
+swapSchema.methods.resolveDispute = function(adminId, { outcome, penalizedUser = null, penaltyPoints = 1, note = '' }) {
+  if (this.status !== 'disputed') {
+    throw new AppError('This swap has no open dispute', 400);
+  }
+  if (outcome === 'penalize' && (!penalizedUser || !this.canModify(penalizedUser))) {
+    throw new AppError('A penalty must name one of the swap participants', 400);
+  }
+
+  // Reverting a swap disputed before completion calls off its meeting; calendars need the update
+  if (outcome !== 'complete' && this.dispute.previousStatus === 'accepted' && this.meetingDate) {
+    this.meetingSequence += 1;
+  }
+  this.transitionTo(outcome === 'complete' ? 'completed' : 'cancelled', {
+    actor: adminId,
+    message: note || `Dispute resolved: ${outcome}`
+  });
+  if (this.status === 'completed' && !this.completedAt) {
+    this.completedAt = new Date();
+  }
+  this.dispute.resolution = {
+    outcome,
+    penalizedUser: outcome === 'penalize' ? penalizedUser : null,
+    penaltyPoints: outcome === 'penalize' ? penaltyPoints : 0,
+    note,
+    resolvedBy: adminId,
+    resolvedAt: new Date()
+  };
+  return this.saveInTransaction();
+};
+
 // Method to cancel swap
-swapSchema.methods.cancel = function() {
-  this.status = 'cancelled';
+swapSchema.methods.cancel = function(actor = null, message = '') {
+  if (this.status === 'disputed') {
+    throw new AppError('Disputed swaps can only be closed by an administrator', 400);
+  }
+  if (this.status === 'accepted' && this.meetingDate) {
+    this.meetingSequence += 1;
+  }
+  this.transitionTo('cancelled', { actor, message });
+  return this.saveInTransaction();
+};
+
+// Method to change the meeting time or place of an accepted swap
+swapSchema.methods.reschedule = function({ location, date } = {}) {
+  if (this.status !== 'accepted') {
+    throw new AppError('Only accepted swaps can be rescheduled', 400);
+  }
+  if (location !== undefined) this.meetingLocation = location;
+  if (date !== undefined) {
+    this.meetingDate = date;
+    // Remind about the new time too
+    this.remindersSent = this.remindersSent.filter(reminder => !reminder.kind.startsWith('meeting_'));
+  }
+  this.meetingSequence += 1;
+  return this.save();
+};
+
+// Method to expire a pending swap that was never answered
+swapSchema.methods.expire = function() {
+  this.transitionTo('expired', { message: 'Swap request expired without a response' });
+  return this.saveInTransaction();
+};
+
+// Method to get the latest offer on the table
+swapSchema.methods.latestOffer = function() {
+  return this.offers.length > 0 ? this.offers[this.offers.length - 1] : null;
+};
+
+// Method to get the party expected to answer the latest offer
+swapSchema.methods.respondent = function() {
+  return this.awaitingResponseFrom || this.owner;
+};
+
+// Method to check if user may accept, decline or counter the latest offer
+swapSchema.methods.canRespond = function(userId) {
+  return this.respondent().toString() === userId.toString();
+};
+
+// Method to replace the books on the table with a counter-offer
+swapSchema.methods.counter = function(userId, { requestedBooks, offeredBooks, message = '' }) {
+  if (this.status !== 'pending') {
+    throw new AppError('Only pending swaps can be countered', 400);
+  }
+  if (!this.canRespond(userId)) {
+    throw new AppError('You are waiting for the other party to respond', 403);
+  }
+
+  const nextRequested = requestedBooks && requestedBooks.length > 0 ? requestedBooks : this.requestedBooks;
+  const nextOffered = offeredBooks && offeredBooks.length > 0 ? offeredBooks : this.offeredBooks;
+  if (sameBooks(nextRequested, this.requestedBooks) && sameBooks(nextOffered, this.offeredBooks)) {
+    throw new AppError('A counter-offer must change at least one of the books', 400);
+  }
+
+  this.offers.push({
+    by: userId,
+    requestedBooks: nextRequested,
+    offeredBooks: nextOffered,
+    message,
+    createdAt: new Date()
+  });
+  this.requestedBooks = nextRequested;
+  this.offeredBooks = nextOffered;
+  this.awaitingResponseFrom = this.isRequester(userId) ? this.owner : this.requester;
+  // Give the other party a fresh window to respond
+  this.expiresAt = new Date(Date.now() + RESPONSE_WINDOW_MS);
   return this.save();
 };
 
@@ -170,31 +767,291 @@ swapSchema.methods.isRequester = function(userId) {
   return this.requester.toString() === userId.toString();
 };
 
-// Pre-save middleware to handle book availability
+// Method to tell which side of the swap a user is on ('requester', 'owner' or null).
+// Works on populated swaps too.
+swapSchema.methods.partySide = function(userId) {
+  const idOf = ref => ((ref && ref._id) || ref || '').toString();
+  if (idOf(this.requester) === userId.toString()) return 'requester';
+  if (idOf(this.owner) === userId.toString()) return 'owner';
+  return null;
+};
+
+// Require a postal swap in one of the given statuses and return the user's side of it
+const postalSide = (swap, userId, statuses) => {
+  if (swap.deliveryMethod !== 'postal') {
+    throw new AppError('This swap is not a postal swap', 400);
+  }
+  if (!statuses.includes(swap.status)) {
+    throw new AppError(`Shipping details cannot be changed on a ${swap.status} swap`, 400);
+  }
+  return swap.partySide(userId);
+};
+
+// Method to store where a party wants to receive their books
+swapSchema.methods.setShippingAddress = function(userId, address) {
+  const side = postalSide(this, userId, ['pending', 'accepted']);
+  const current = this.shipping[side];
+  const incoming = this.shipping[side === 'requester' ? 'owner' : 'requester'];
+  if (incoming && incoming.shippedAt) {
+    throw new AppError('Your address cannot change after the other party has shipped', 400);
+  }
+  this.shipping[side] = { ...(current ? current.toObject() : {}), address };
+  return this.save();
+};
+
+// Method to record that a party sent their books
+swapSchema.methods.markShipped = function(userId, { carrier, trackingNumber }) {
+  const side = postalSide(this, userId, ['accepted']);
+  const otherSide = side === 'requester' ? 'owner' : 'requester';
+  if (!this.shipping[otherSide] || !this.shipping[otherSide].address) {
+    throw new AppError('The other party has not provided a shipping address yet', 400);
+  }
+
+  this.shipping[side] = {
+    ...(this.shipping[side] ? this.shipping[side].toObject() : {}),
+    carrier,
+    trackingNumber,
+    shippedAt: new Date()
+  };
+  return this.save();
+};
+
+// Method to record that a party received the other party's books.
+// A receipt doubles as the party's completion confirmation.
+swapSchema.methods.markReceived = function(userId) {
+  const side = postalSide(this, userId, ['accepted']);
+  this.shipping[side] = {
+    ...(this.shipping[side] ? this.shipping[side].toObject() : {}),
+    receivedAt: new Date()
+  };
+  return this.confirmCompletion(userId);
+};
+
+// Remove shipping addresses except for the given sides
+const redactAddresses = (swap, visibleSides) => {
+  if (!swap.shipping) return swap;
+  ['requester', 'owner'].forEach((side) => {
+    if (swap.shipping[side] && !visibleSides.includes(side)) {
+      delete swap.shipping[side].address;
+    }
+  });
+  return swap;
+};
+
+// Transform output (shipping addresses are private)
+swapSchema.methods.toJSON = function() {
+  return redactAddresses(this.toObject(), []);
+};
+
+// Method to serialize the swap for a participant: they always see their own
+// address, and the other party's once the swap has been accepted
+swapSchema.methods.toJSONFor = function(userId) {
+  const side = this.partySide(userId);
+  const visible = [];
+  if (side) {
+    visible.push(side);
+    if (ADDRESS_VISIBLE_STATUSES.includes(this.status)) {
+      visible.push(side === 'requester' ? 'owner' : 'requester');
+    }
+  }
+  return redactAddresses(this.toObject(), visible);
+};
+
+// Keep the lead book fields and the bundle arrays in step
+swapSchema.pre('validate', function(next) {
+  if (this.requestedBooks.length === 0 && this.requestedBook) {
+    this.requestedBooks = [this.requestedBook];
+  }
+  if (this.offeredBooks.length === 0 && this.offeredBook) {
+    this.offeredBooks = [this.offeredBook];
+  }
+  if (this.requestedBooks.length > 0) this.requestedBook = this.requestedBooks[0];
+  if (this.offeredBooks.length > 0) this.offeredBook = this.offeredBooks[0];
+  next();
+});
+
+// Count the swap and hand each book over to the other party (they stay
+// unavailable until relisted). Sequential on purpose: operations sharing a
+// transaction session must not run in parallel.
+const applyHandover = async (swap, session) => {
+  const Book = mongoose.model('Book');
+  const User = mongoose.model('User');
+  const bookIds = swap.bookIds();
+
+  await Book.updateMany({ _id: { $in: bookIds } }, { $inc: { swapCount: 1 } }, { session });
+  await User.updateMany(
+    { _id: { $in: [swap.requester, swap.owner] } },
+    { $inc: { totalSwaps: 1 } },
+    { session }
+  );
+
+  const requester = await User.findById(swap.requester).select('email location geo').session(session);
+  const owner = await User.findById(swap.owner).select('email location geo').session(session);
+  const handovers = [
+    { books: swap.requestedBooks, recipient: requester },
+    { books: swap.offeredBooks, recipient: owner }
+  ];
+
+  for (const { books, recipient } of handovers) {
+    if (!recipient) continue;
+    const docs = await Book.find({ _id: { $in: books } }).session(session);
+    for (const book of docs) {
+      await book.transferTo(recipient, { swap: swap._id });
+    }
+  }
+};
+
+// Undo applyHandover() for a completed swap reverted after a dispute: every
+// book goes back to its original owner and is listed again. Refused when a book
+// has moved on since (re-swapped, given away, lent out): it is no longer the
+// receiver's to return, and taking it would hurt a third party.
+const revertHandover = async (swap, session) => {
+  const Book = mongoose.model('Book');
+  const User = mongoose.model('User');
+  const bookIds = swap.bookIds();
+
+  const receivers = [
+    { books: swap.requestedBooks, receiver: swap.requester },
+    { books: swap.offeredBooks, receiver: swap.owner }
+  ];
+  for (const { books, receiver } of receivers) {
+    const movedOn = await Book.exists({ _id: { $in: books }, owner: { $ne: receiver } }).session(session);
+    if (movedOn) {
+      throw new AppError('A book from this swap has changed hands since; the swap cannot be reverted', 409);
+    }
+  }
+  if (await swap.constructor.hasCommittedBooks(bookIds, { excludeSwap: swap._id, session })) {
+    throw new AppError('A book from this swap is committed to another swap or loan; the swap cannot be reverted', 409);
+  }
+
+  await Book.updateMany({ _id: { $in: bookIds } }, { $inc: { swapCount: -1 } }, { session });
+  await User.updateMany(
+    { _id: { $in: [swap.requester, swap.owner] } },
+    { $inc: { totalSwaps: -1 } },
+    { session }
+  );
+
+  const requester = await User.findById(swap.requester).select('email location geo').session(session);
+  const owner = await User.findById(swap.owner).select('email location geo').session(session);
+  const returns = [
+    { books: swap.requestedBooks, recipient: owner },
+    { books: swap.offeredBooks, recipient: requester }
+  ];
+
+  for (const { books, recipient } of returns) {
+    if (!recipient) continue;
+    const docs = await Book.find({ _id: { $in: books } }).session(session);
+    for (const book of docs) {
+      await book.transferTo(recipient, { swap: swap._id });
+    }
+  }
+
+  await Book.updateMany({ _id: { $in: bookIds } }, { isAvailable: true }, { session });
+};
+
+// Pre-save middleware to handle book availability.
+// Runs inside the caller's transaction (see saveInTransaction) so every write
+// below commits or rolls back together with the status change.
 swapSchema.pre('save', async function(next) {
-  if (this.isModified('status')) {
-    const Book = mongoose.model('Book');
-    
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: this.status, actor: this.requester, message: this.message });
+    }
+    if (!this.awaitingResponseFrom) {
+      this.awaitingResponseFrom = this.owner;
+    }
+    if (this.offers.length === 0) {
+      this.offers.push({
+        by: this.requester,
+        requestedBooks: this.requestedBooks,
+        offeredBooks: this.offeredBooks,
+        message: this.message
+      });
+    }
+    return next();
+  }
+
+  if (!this.isModified('status')) return next();
+
+  // Status must only ever change through transitionTo(), which records history
+  const lastChange = this.statusHistory[this.statusHistory.length - 1];
+  if (!lastChange || lastChange.to !== this.status) {
+    return next(new AppError('Swap status must be changed through transitionTo()', 500));
+  }
+
+  const Book = mongoose.model('Book');
+  const User = mongoose.model('User');
+  const session = this.$session();
+  const bookIds = this.bookIds();
+  const previousStatus = lastChange.from;
+
+  try {
     if (this.status === 'accepted') {
-      // Mark both books as unavailable
-      await Book.findByIdAndUpdate(this.requestedBook, { isAvailable: false });
-      await Book.findByIdAndUpdate(this.offeredBook, { isAvailable: false });
+      // Refuse to double-book a copy that another accepted swap already holds
+      const committed = await this.constructor.hasCommittedBooks(bookIds, {
+        excludeSwap: this._id,
+        session
+      });
+      if (committed) {
+        throw new AppError('One or more books in this swap are already committed to another swap', 409);
+      }
+
+      // Mark every book as unavailable, but only if nobody else got there first
+      const result = await Book.updateMany(
+        { _id: { $in: bookIds }, isAvailable: true, isActive: true },
+        { isAvailable: false },
+        { session }
+      );
+      if (result.modifiedCount !== bookIds.length) {
+        throw new AppError('One or more books in this swap are no longer available', 409);
+      }
+
+      // Competing requests for these books can no longer go ahead
+      this.$locals.resolvedConflicts = await this.constructor.resolveConflicts(bookIds, {
+        excludeSwap: this._id,
+        session
+      });
+    } else if (this.status === 'disputed') {
+      // Books stay frozen as they are until the dispute is resolved
     } else if (this.status === 'completed') {
-      // Update swap counts and keep books unavailable (they've been swapped)
-      await Book.findByIdAndUpdate(this.requestedBook, { $inc: { swapCount: 1 } });
-      await Book.findByIdAndUpdate(this.offeredBook, { $inc: { swapCount: 1 } });
-      
-      // Update user swap counts
-      const User = mongoose.model('User');
-      await User.findByIdAndUpdate(this.requester, { $inc: { totalSwaps: 1 } });
-      await User.findByIdAndUpdate(this.owner, { $inc: { totalSwaps: 1 } });
-    } else if (this.status === 'declined' || this.status === 'cancelled') {
-      // Make books available again
-      await Book.findByIdAndUpdate(this.requestedBook, { isAvailable: true });
-      await Book.findByIdAndUpdate(this.offeredBook, { isAvailable: true });
+      // Upholding a dispute over an already completed swap leaves the hand-over in place
+      if (!(previousStatus === 'disputed' && this.dispute.previousStatus === 'completed')) {
+        await applyHandover(this, session);
+      }
+    } else if (previousStatus === 'disputed' && this.dispute.previousStatus === 'completed') {
+      await revertHandover(this, session);
+    } else if (previousStatus === 'accepted' || previousStatus === 'disputed') {
+      // Leaving an accepted swap without completing it makes the books available again.
+      // Pending requests never lock books, so declining, cancelling or expiring one
+      // leaves availability untouched.
+      await Book.updateMany({ _id: { $in: bookIds } }, { isAvailable: true }, { session });
+
+      // The first user waiting for each freed book gets a priority window to request it
+      const WaitlistEntry = require('./WaitlistEntry');
+      this.$locals.waitlistOffers = await WaitlistEntry.offerNext(bookIds, { session });
     }
+
+    const penalty = this.dispute && this.dispute.resolution;
+    if (previousStatus === 'disputed' && penalty && penalty.penalizedUser) {
+      await User.updateOne(
+        { _id: penalty.penalizedUser },
+        { $inc: { penaltyPoints: penalty.penaltyPoints } },
+        { session }
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 });
 
+swapSchema.statics.STATUSES = SWAP_STATUSES;
+swapSchema.statics.MAX_BUNDLE_SIZE = MAX_BUNDLE_SIZE;
+swapSchema.statics.COMPLETION_CONFIRM_WINDOW_MS = COMPLETION_CONFIRM_WINDOW_MS;
+swapSchema.statics.TRANSITIONS = SWAP_TRANSITIONS;
+swapSchema.statics.DISPUTE_REASONS = DISPUTE_REASONS;
+swapSchema.statics.DISPUTE_OUTCOMES = DISPUTE_OUTCOMES;
+swapSchema.statics.DELIVERY_METHODS = DELIVERY_METHODS;
+swapSchema.statics.REMINDER_KINDS = REMINDER_KINDS;
+
 module.exports = mongoose.model('Swap', swapSchema);
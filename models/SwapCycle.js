@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const withTransaction = require('../utils/transaction');
+const { AppError } = require('../utils/errors');
+
+// How long participants have to accept a proposed cycle
+const PROPOSAL_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const CYCLE_STATUSES = ['proposed', 'accepted', 'declined', 'completed', 'cancelled', 'expired'];
+
+// Allowed status changes; anything not listed here is rejected by transitionTo()
+const CYCLE_TRANSITIONS = {
+  proposed: ['accepted', 'declined', 'expired'],
+  accepted: ['completed', 'cancelled'],
+  declined: [],
+  completed: [],
+  cancelled: [],
+  expired: []
+};
+
+// One hand-over in the cycle: `giver` sends `book` to `receiver`
+const legSchema = new mongoose.Schema({
+  giver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  // When the receiver confirmed getting the book; the cycle completes once every leg has
+  receivedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const swapCycleSchema = new mongoose.Schema({
+  legs: {
+    type: [legSchema],
+    validate: {
+      validator: legs => legs.length >= 2,
+      message: 'A swap cycle needs at least two participants'
+    }
+  },
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Canonical key of the books involved, used to avoid proposing the same cycle twice
+  cycleKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: CYCLE_STATUSES,
+    default: 'proposed'
+  },
+  source: {
+    type: String,
+    enum: ['suggestion', 'batch'],
+    default: 'suggestion'
+  },
+  declinedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    default: function() {
+      return new Date(Date.now() + PROPOSAL_WINDOW_MS);
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+swapCycleSchema.index({ participants: 1, status: 1 });
+swapCycleSchema.index({ 'legs.book': 1, status: 1 });
+swapCycleSchema.index({ cycleKey: 1, status: 1 });
+swapCycleSchema.index({ expiresAt: 1 });
+
+// Static method to build the canonical key for a set of books
+swapCycleSchema.statics.keyFor = function(bookIds) {
+  return bookIds.map(id => id.toString()).sort().join(':');
+};
+
+// Static method to find a user's cycles
+swapCycleSchema.statics.findUserCycles = function(userId, status = null) {
+  const query = { participants: userId };
+  if (status) {
+    query.status = status;
+  }
+
+  return this.find(query)
+    .populate('legs.giver', 'username firstName lastName avatar rating')
+    .populate('legs.receiver', 'username firstName lastName avatar rating')
+    .populate('legs.book', 'title author coverImage condition')
+    .sort({ createdAt: -1 });
+};
+
+// Static method to check whether any of the given books is held by an accepted cycle
+swapCycleSchema.statics.hasCommittedBooks = async function(bookIds, { session = null } = {}) {
+  const existing = await this.exists({
+    'legs.book': { $in: bookIds },
+    status: 'accepted'
+  }).session(session);
+  return Boolean(existing);
+};
+
+// Method to check if user takes part in this cycle
+swapCycleSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(participant => participant.toString() === userId.toString());
+};
+
+// Method to check whether the cycle may move to the given status
+swapCycleSchema.methods.canTransitionTo = function(status) {
+  return (CYCLE_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change status, validating it against the transition table
+swapCycleSchema.methods.transitionTo = function(status) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(`Cannot change a ${this.status} swap cycle to ${status}`, 400);
+  }
+  this.status = status;
+};
+
+// Method to record a participant's acceptance; books are locked once everyone agrees
+swapCycleSchema.methods.accept = async function(userId) {
+  if (this.status !== 'proposed') {
+    throw new AppError('Only proposed swap cycles can be accepted', 400);
+  }
+  if (this.expiresAt < new Date()) {
+    throw new AppError('This swap cycle proposal has expired', 400);
+  }
+
+  const leg = this.legs.find(item => item.giver.toString() === userId.toString());
+  if (!leg.acceptedAt) {
+    leg.acceptedAt = new Date();
+  }
+
+  if (this.legs.every(item => item.acceptedAt)) {
+    this.transitionTo('accepted');
+    this.acceptedAt = new Date();
+  }
+  return this.saveInTransaction();
+};
+
+// Method to decline a proposed cycle on behalf of a participant
+swapCycleSchema.methods.decline = function(userId) {
+  this.transitionTo('declined');
+  this.declinedBy = userId;
+  return this.saveInTransaction();
+};
+
+// Method to cancel an accepted cycle before the books change hands
+swapCycleSchema.methods.cancel = function() {
+  if (this.legs.some(leg => leg.receivedAt)) {
+    throw new AppError('Books in this cycle have already been received; it can no longer be cancelled', 400);
+  }
+  this.transitionTo('cancelled');
+  return this.saveInTransaction();
+};
+
+// Method to record that a participant received the book sent to them.
+// Books only change owner once every receiver has confirmed, so no single
+// participant can complete the cycle on behalf of the others.
+swapCycleSchema.methods.confirmReceipt = function(userId) {
+  if (this.status !== 'accepted') {
+    throw new AppError('Only accepted swap cycles can be completed', 400);
+  }
+
+  const leg = this.legs.find(item => item.receiver.toString() === userId.toString());
+  if (!leg.receivedAt) {
+    leg.receivedAt = new Date();
+  }
+
+  if (this.legs.every(item => item.receivedAt)) {
+    this.transitionTo('completed');
+    this.completedAt = new Date();
+    return this.saveInTransaction();
+  }
+  return this.save();
+};
+
+// Method to check whether the given participant has confirmed receiving their book
+swapCycleSchema.methods.hasConfirmedReceipt = function(userId) {
+  const leg = this.legs.find(item => item.receiver.toString() === userId.toString());
+  return Boolean(leg && leg.receivedAt);
+};
+
+// Method to persist a status change and its side effects atomically
+swapCycleSchema.methods.saveInTransaction = async function() {
+  try {
+    await withTransaction(session => this.save({ session }));
+  } finally {
+    // Detach the ended session so later populate/save calls don't reuse it
+    this.$session(null);
+  }
+  return this;
+};
+
+// Derive participants and the dedupe key from the legs
+swapCycleSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    this.participants = this.legs.map(leg => leg.giver);
+    this.cycleKey = this.constructor.keyFor(this.legs.map(leg => leg.book));
+  }
+  next();
+});
+
+// Pre-save middleware to handle book availability
+swapCycleSchema.pre('save', async function(next) {
+  if (this.isNew || !this.isModified('status')) return next();
+
+  const Book = mongoose.model('Book');
+  const User = mongoose.model('User');
+  const Swap = mongoose.model('Swap');
+  const session = this.$session();
+  const bookIds = this.legs.map(leg => leg.book);
+
+  try {
+    if (this.status === 'accepted') {
+      // Refuse to double-book a copy already held by an accepted swap or cycle
+      // (this cycle is still 'proposed' in the database at this point)
+      if (await Swap.hasCommittedBooks(bookIds, { session })) {
+        throw new AppError('One or more books in this cycle are already committed to another swap', 409);
+      }
+
+      // Each book must still belong to its giver, be listed for swapping and not be
+      // held for a waitlisted user other than the one receiving it
+      const now = new Date();
+      const legFilters = this.legs.map(leg => ({
+        _id: leg.book,
+        owner: leg.giver,
+        $or: [
+          { 'priorityHold.user': null },
+          { 'priorityHold.expiresAt': { $lte: now } },
+          { 'priorityHold.user': leg.receiver }
+        ]
+      }));
+      const result = await Book.updateMany(
+        { $or: legFilters, isAvailable: true, isActive: true, listingType: { $ne: 'giveaway' } },
+        { isAvailable: false },
+        { session }
+      );
+      if (result.modifiedCount !== bookIds.length) {
+        throw new AppError('One or more books in this cycle are no longer available', 409);
+      }
+    } else if (this.status === 'completed') {
+      await Book.updateMany({ _id: { $in: bookIds } }, { $inc: { swapCount: 1 } }, { session });
+      await User.updateMany({ _id: { $in: this.participants } }, { $inc: { totalSwaps: 1 } }, { session });
+
+      // Sequential on purpose: operations sharing a transaction session must not run in parallel
+      for (const leg of this.legs) {
+        const receiver = await User.findById(leg.receiver).select('email location geo').session(session);
+        const book = await Book.findById(leg.book).session(session);
+        // Only hand over copies the giver still owns
+        if (receiver && book && book.owner && book.owner.equals(leg.giver)) {
+          await book.transferTo(receiver, { swapCycle: this._id });
+        }
+      }
+    } else if (this.status === 'cancelled') {
+      // Books were locked on acceptance; release them
+      await Book.updateMany({ _id: { $in: bookIds } }, { isAvailable: true }, { session });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+swapCycleSchema.statics.STATUSES = CYCLE_STATUSES;
+
+module.exports = mongoose.model('SwapCycle', swapCycleSchema);
@@ -1,6 +1,18 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -49,6 +61,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Every generated size of an uploaded avatar, keyed by size name
+  avatarVariants: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
   bio: {
     type: String,
     maxlength: 500,
@@ -61,6 +79,12 @@ const userSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // Exact position, geocoded from `location` or set directly. Never exposed:
+  // books carry a fuzzed copy for distance search.
+  geo: {
+    type: pointSchema,
+    default: undefined
+  },
   phone: {
     type: String,
     trim: true,
@@ -70,6 +94,47 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  wantList: [{
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    // Lower-cased title, derived on save, so new listings find their wanters by equality
+    titleKey: {
+      type: String
+    },
+    author: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    isbn: {
+      type: String,
+      trim: true
+    },
+    // Worst condition still acceptable, on the Book.condition scale; null accepts any
+    maxCondition: {
+      type: String,
+      enum: ['New', 'Like New', 'Very Good', 'Good', 'Fair', 'Poor', null],
+      default: null
+    },
+    // Furthest the book may be, in km; null accepts any distance
+    maxDistanceKm: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    // Books this entry already alerted about, so a book is announced once per user
+    notifiedBooks: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book'
+    }],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   rating: {
     type: Number,
     default: 0,
@@ -84,6 +149,39 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Giveaways are counted apart from swaps
+  giveawaysGiven: {
+    type: Number,
+    default: 0
+  },
+  giveawaysReceived: {
+    type: Number,
+    default: 0
+  },
+  // Loan outcomes as a borrower; see updateBorrowerReliability()
+  borrowerStats: {
+    returnedOnTime: {
+      type: Number,
+      default: 0
+    },
+    overdue: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Share of loans returned on time (0-1), null until the user has borrowed
+  borrowerReliability: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 1
+  },
+  // Added by admins when a swap dispute is resolved against the user
+  penaltyPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -111,6 +209,31 @@ const userSchema = new mongoose.Schema({
   resetPasswordExpires: {
     type: Date,
     default: null
+  },
+  // Secret token for the read-only iCalendar feed of the user's swap meetings
+  calendarFeedToken: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Per-user opt-outs for scheduled reminders and want-list alerts (email and in-app)
+  notificationPreferences: {
+    meetingReminders: {
+      type: Boolean,
+      default: true
+    },
+    expiryReminders: {
+      type: Boolean,
+      default: true
+    },
+    reviewReminders: {
+      type: Boolean,
+      default: true
+    },
+    wantListMatches: {
+      type: Boolean,
+      default: true
+    }
   }
 }, {
   timestamps: true
@@ -119,6 +242,20 @@ const userSchema = new mongoose.Schema({
 // Indexes are automatically created by unique: true in schema fields
 // Removed duplicate index declarations to fix Mongoose warnings
 
+// Want-list lookups when a book is listed
+userSchema.index({ 'wantList.titleKey': 1 });
+userSchema.index({ 'wantList.isbn': 1 });
+
+// Keep want-list title keys in step with the titles
+userSchema.pre('validate', function(next) {
+  if (this.isModified('wantList')) {
+    this.wantList.forEach((item) => {
+      item.titleKey = this.constructor.wantTitleKey(item.title);
+    });
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -142,6 +279,13 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Recompute the borrower reliability score from the loan outcomes
+userSchema.methods.updateBorrowerReliability = function() {
+  const { returnedOnTime, overdue } = this.borrowerStats;
+  const total = returnedOnTime + overdue;
+  this.borrowerReliability = total > 0 ? Math.round((returnedOnTime / total) * 100) / 100 : null;
+};
+
 // Get user's full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -153,10 +297,17 @@ userSchema.methods.toJSON = function() {
   delete user.password;
   delete user.emailVerificationToken;
   delete user.resetPasswordToken;
+  delete user.calendarFeedToken;
+  delete user.geo;
   delete user.resetPasswordExpires;
   return user;
 };
 
+// Static method to build the key a want-list title is looked up by
+userSchema.statics.wantTitleKey = function(title) {
+  return title ? title.trim().toLowerCase() : undefined;
+};
+
 // Static method to find by email or username
 userSchema.statics.findByEmailOrUsername = function(identifier) {
   return this.findOne({
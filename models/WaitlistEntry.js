@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// How long the first waiter has the book to themselves once it is free again
+const PRIORITY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// waiting: in the queue; notified: holds the priority window;
+// fulfilled: requested the book in time; expired: let the window lapse; left: gave up their place
+const WAITLIST_STATUSES = ['waiting', 'notified', 'fulfilled', 'expired', 'left'];
+
+const waitlistEntrySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: WAITLIST_STATUSES,
+    default: 'waiting'
+  },
+  notifiedAt: {
+    type: Date
+  },
+  priorityUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+waitlistEntrySchema.index({ book: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, priorityUntil: 1 });
+// A user holds at most one live place per book
+waitlistEntrySchema.index(
+  { book: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'notified'] } } }
+);
+
+// Static method to find a user's live place on a book's waitlist
+waitlistEntrySchema.statics.findLive = function(bookId, userId) {
+  return this.findOne({ book: bookId, user: userId, status: { $in: ['waiting', 'notified'] } });
+};
+
+// Static method to get a user's 1-based position in a book's queue
+waitlistEntrySchema.statics.positionOf = async function(entry) {
+  if (entry.status === 'notified') return 1;
+  const ahead = await this.countDocuments({
+    book: entry.book,
+    status: { $in: ['waiting', 'notified'] },
+    createdAt: { $lt: entry.createdAt }
+  });
+  return ahead + 1;
+};
+
+// Static method to give the first waiter of each freed book a priority window.
+// Books that are unavailable, inactive or already held are skipped.
+// Returns the entries that were offered the book.
+waitlistEntrySchema.statics.offerNext = async function(bookIds, { session = null, now = new Date() } = {}) {
+  const Book = mongoose.model('Book');
+  const offered = [];
+
+  // Sequential on purpose: operations sharing a transaction session must not run in parallel
+  for (const bookId of bookIds) {
+    const next = await this.findOne({ book: bookId, status: 'waiting' })
+      .sort({ createdAt: 1 })
+      .session(session);
+    if (!next) continue;
+
+    const priorityUntil = new Date(now.getTime() + PRIORITY_WINDOW_MS);
+    const held = await Book.updateOne(
+      {
+        _id: bookId,
+        isAvailable: true,
+        isActive: true,
+        $or: [{ 'priorityHold.user': null }, { 'priorityHold.expiresAt': { $lte: now } }]
+      },
+      { priorityHold: { user: next.user, expiresAt: priorityUntil } },
+      { session }
+    );
+    if (held.modifiedCount !== 1) continue;
+
+    next.status = 'notified';
+    next.notifiedAt = now;
+    next.priorityUntil = priorityUntil;
+    await next.save({ session });
+    offered.push(next);
+  }
+
+  return offered;
+};
+
+// Static method to close the priority windows a user used by requesting the books
+waitlistEntrySchema.statics.markFulfilled = async function(bookIds, userId) {
+  const Book = mongoose.model('Book');
+
+  await this.updateMany(
+    { book: { $in: bookIds }, user: userId, status: { $in: ['waiting', 'notified'] } },
+    { status: 'fulfilled' }
+  );
+  await Book.updateMany(
+    { _id: { $in: bookIds }, 'priorityHold.user': userId },
+    { $unset: { priorityHold: 1 } }
+  );
+};
+
+waitlistEntrySchema.statics.STATUSES = WAITLIST_STATUSES;
+waitlistEntrySchema.statics.PRIORITY_WINDOW_MS = PRIORITY_WINDOW_MS;
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
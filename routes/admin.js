@@ -4,7 +4,13 @@ const User = require('../models/User');
 const Book = require('../models/Book');
 const Swap = require('../models/Swap');
 const Review = require('../models/Review');
+const GiveawayRequest = require('../models/GiveawayRequest');
 const { auth, requireAdmin } = require('../middleware/auth');
+const scheduler = require('../services/scheduler');
+const eventService = require('../services/eventService');
+const emailService = require('../services/emailService');
+const calendarService = require('../services/calendarService');
+const waitlistService = require('../services/waitlistService');
 
 const router = express.Router();
 
@@ -23,6 +29,9 @@ router.get('/dashboard', [auth, requireAdmin], async (req, res) => {
       totalSwaps,
       pendingSwaps,
       completedSwaps,
+      disputedSwaps,
+      listedGiveaways,
+      completedGiveaways,
       totalReviews,
       recentUsers,
       recentBooks,
@@ -36,6 +45,9 @@ router.get('/dashboard', [auth, requireAdmin], async (req, res) => {
       Swap.countDocuments(),
       Swap.countDocuments({ status: 'pending' }),
       Swap.countDocuments({ status: 'completed' }),
+      Swap.countDocuments({ status: 'disputed' }),
+      Book.countDocuments({ isActive: true, isAvailable: true, listingType: 'giveaway' }),
+      GiveawayRequest.countDocuments({ status: 'accepted' }),
       Review.countDocuments({ isActive: true }),
       User.find({ isActive: true })
         .select('username email firstName lastName createdAt')
@@ -49,9 +61,9 @@ router.get('/dashboard', [auth, requireAdmin], async (req, res) => {
       Swap.find()
         .populate('requester', 'username')
         .populate('owner', 'username')
-        .populate('requestedBook', 'title')
-        .populate('offeredBook', 'title')
-        .select('status createdAt')
+        .populate('requestedBooks', 'title')
+        .populate('offeredBooks', 'title')
+        .select('status requestedBooks offeredBooks createdAt')
         .sort({ createdAt: -1 })
         .limit(5)
     ]);
@@ -72,7 +84,12 @@ router.get('/dashboard', [auth, requireAdmin], async (req, res) => {
           swaps: {
             total: totalSwaps,
             pending: pendingSwaps,
-            completed: completedSwaps
+            completed: completedSwaps,
+            disputed: disputedSwaps
+          },
+          giveaways: {
+            listed: listedGiveaways,
+            completed: completedGiveaways
           },
           reviews: {
             total: totalReviews
@@ -397,6 +414,8 @@ router.delete('/books/:id', [auth, requireAdmin], async (req, res) => {
     // Check for active swaps
     const activeSwaps = await Swap.countDocuments({
       $or: [
+        { requestedBooks: req.params.id },
+        { offeredBooks: req.params.id },
         { requestedBook: req.params.id },
         { offeredBook: req.params.id }
       ],
@@ -435,7 +454,7 @@ router.get('/swaps', [
   requireAdmin,
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  query('status').optional().isIn(['pending', 'accepted', 'declined', 'completed', 'cancelled', 'all'])
+  query('status').optional().isIn([...Swap.STATUSES, 'all'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -461,6 +480,8 @@ router.get('/swaps', [
       .populate('owner', 'username email firstName lastName')
       .populate('requestedBook', 'title author')
       .populate('offeredBook', 'title author')
+      .populate('requestedBooks', 'title author')
+      .populate('offeredBooks', 'title author')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -489,6 +510,153 @@ router.get('/swaps', [
   }
 });
 
+// @route   GET /api/admin/disputes
+// @desc    Get the swap dispute queue (open disputes first, oldest first)
+// @access  Private (Admin only)
+router.get('/disputes', [
+  auth,
+  requireAdmin,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('state').optional().isIn(['open', 'resolved', 'all'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, state = 'open' } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter query
+    let filter = { dispute: { $ne: null } };
+    if (state === 'open') {
+      filter.status = 'disputed';
+    } else if (state === 'resolved') {
+      filter['dispute.resolution.resolvedAt'] = { $ne: null };
+    }
+
+    const swaps = await Swap.find(filter)
+      .populate('requester', 'username email firstName lastName penaltyPoints')
+      .populate('owner', 'username email firstName lastName penaltyPoints')
+      .populate('requestedBooks', 'title author condition')
+      .populate('offeredBooks', 'title author condition')
+      .populate('dispute.openedBy', 'username')
+      .populate('dispute.resolution.resolvedBy', 'username')
+      .sort({ 'dispute.openedAt': state === 'open' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Swap.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        disputes: swaps,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalDisputes: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin get disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching disputes'
+    });
+  }
+});
+
+// @route   PUT /api/admin/disputes/:id/resolve
+// @desc    Resolve the dispute on a swap: complete, revert, or revert and penalize a party
+// @access  Private (Admin only)
+router.put('/disputes/:id/resolve', [
+  auth,
+  requireAdmin,
+  body('outcome')
+    .isIn(Swap.DISPUTE_OUTCOMES)
+    .withMessage(`Outcome must be one of: ${Swap.DISPUTE_OUTCOMES.join(', ')}`),
+  body('penalizedUser')
+    .if(body('outcome').equals('penalize'))
+    .isMongoId()
+    .withMessage('A valid penalized user ID is required'),
+  body('penaltyPoints').optional().isInt({ min: 1, max: 10 }).toInt(),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id);
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap not found'
+      });
+    }
+
+    const { outcome, penalizedUser, penaltyPoints, note } = req.body;
+    // A swap disputed before completion may still have its meeting in both calendars
+    const hadMeeting = Boolean(swap.dispute && swap.dispute.previousStatus === 'accepted' && swap.meetingDate);
+    await swap.resolveDispute(req.user._id, { outcome, penalizedUser, penaltyPoints, note });
+
+    await eventService.publish([swap.requester, swap.owner], 'swap.dispute_resolved', {
+      swapId: swap._id,
+      status: swap.status,
+      outcome,
+      penalizedUser: swap.dispute.resolution.penalizedUser
+    });
+    await waitlistService.notifyOffers(swap.$locals.waitlistOffers);
+    if (hadMeeting && swap.status === 'cancelled') {
+      await calendarService.sendMeetingEmails(swap._id, 'cancelled');
+    }
+
+    await swap.populate([
+      { path: 'requester', select: 'email firstName' },
+      { path: 'owner', select: 'email firstName' },
+      { path: 'requestedBooks', select: 'title author' },
+      { path: 'offeredBooks', select: 'title author' }
+    ]);
+    const recipients = [swap.requester, swap.owner].filter(user => user && user.email);
+    for (const user of recipients) {
+      await emailService.sendDisputeResolvedEmail(user, swap);
+    }
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved',
+      data: { swap }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Admin resolve dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving dispute'
+    });
+  }
+});
+
 // @route   GET /api/admin/reviews
 // @desc    Get all reviews with pagination and filtering
 // @access  Private (Admin only)
@@ -581,4 +749,42 @@ router.delete('/reviews/:id', [auth, requireAdmin], async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/jobs
+// @desc    List background jobs and their last run
+// @access  Private (Admin only)
+router.get('/jobs', [auth, requireAdmin], async (req, res) => {
+  res.json({
+    success: true,
+    data: { jobs: scheduler.list() }
+  });
+});
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Run a background job now (e.g. the swap expiry sweep on serverless deployments)
+// @access  Private (Admin only)
+router.post('/jobs/:name/run', [auth, requireAdmin], async (req, res) => {
+  try {
+    if (!scheduler.has(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const result = await scheduler.run(req.params.name);
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} finished`,
+      data: { result }
+    });
+  } catch (error) {
+    console.error('Admin run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running job'
+    });
+  }
+});
+
 module.exports = router;
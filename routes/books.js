@@ -2,19 +2,46 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Book = require('../models/Book');
 const User = require('../models/User');
+const Swap = require('../models/Swap');
+const GiveawayRequest = require('../models/GiveawayRequest');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { bookFilterValidators, buildBookFilter } = require('../utils/bookFilters');
+const { isValidIsbn, toIsbn13 } = require('../utils/isbn');
+const { parseLatLng, parseBbox, fuzzPoint } = require('../utils/geo');
+const { METADATA_FIELDS, lookupIsbn } = require('../services/metadata');
+const bookMapService = require('../services/bookMapService');
+const bookSearchService = require('../services/bookSearchService');
+const waitlistService = require('../services/waitlistService');
+const wantListService = require('../services/wantListService');
+const savedSearchService = require('../services/savedSearchService');
 
 const router = express.Router();
 
 // @route   GET /api/books
-// @desc    Get all available books with search and filters
+// @desc    Get all available books with search and filters.
+//          With near=lat,lng, only books within radiusKm, each with its distanceKm.
+//          sort=relevance|newest|distance|condition; by default the best text matches,
+//          else the nearest, else the newest come first.
 // @access  Public
 router.get('/', [
-  query('search').optional().trim().escape(),
-  query('genre').optional().trim().escape(),
-  query('condition').optional().isIn(['New', 'Like New', 'Very Good', 'Good', 'Fair', 'Poor']),
-  query('language').optional().trim().escape(),
-  query('location').optional().trim().escape(),
+  ...bookFilterValidators(query),
+  query('near')
+    .optional()
+    .custom(value => Boolean(parseLatLng(value)))
+    .withMessage('near must be "latitude,longitude"'),
+  query('radiusKm')
+    .optional()
+    .isFloat({ min: 0.1, max: 500 })
+    .withMessage('radiusKm must be between 0.1 and 500')
+    .toFloat(),
+  query('sort')
+    .optional()
+    .isIn(bookSearchService.SORT_OPTIONS)
+    .withMessage(`sort must be one of: ${bookSearchService.SORT_OPTIONS.join(', ')}`)
+    .bail()
+    .custom((value, { req }) => value !== 'distance' || Boolean(req.query.near))
+    .withMessage('Sorting by distance needs near=latitude,longitude'),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
 ], async (req, res) => {
@@ -28,41 +55,14 @@ router.get('/', [
       });
     }
 
-    const { search, genre, condition, language, location, page = 1, limit = 12 } = req.query;
-    const skip = (page - 1) * limit;
-
-    let books;
-    let total;
-
-    if (search) {
-      // Search with filters
-      const filters = {};
-      if (genre) filters.genre = genre;
-      if (condition) filters.condition = condition;
-      if (language) filters.language = language;
-      if (location) filters.location = location;
-
-      books = await Book.searchBooks(search, filters)
-        .skip(skip)
-        .limit(limit);
-
-      total = await Book.searchBooks(search, filters).countDocuments();
-    } else {
-      // Get all with filters
-      const filters = { isAvailable: true, isActive: true };
-      if (genre) filters.genre = genre;
-      if (condition) filters.condition = condition;
-      if (language) filters.language = language;
-      if (location) filters.location = { $regex: location, $options: 'i' };
-
-      books = await Book.find(filters)
-        .populate('owner', 'username firstName lastName location rating')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
-
-      total = await Book.countDocuments(filters);
-    }
+    const { page = 1, limit = 12, near, radiusKm, sort } = req.query;
+    const { books, total } = await bookSearchService.searchBooks(req.query, {
+      near: near ? parseLatLng(near) : undefined,
+      radiusKm,
+      sort,
+      page,
+      limit
+    });
 
     res.json({
       success: true,
@@ -86,13 +86,65 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/books/map
+// @desc    Available books inside bbox=minLng,minLat,maxLng,maxLat, clustered into grid cells
+//          sized for the map zoom level; takes the same filters as GET /api/books
+// @access  Public
+router.get('/map', [
+  ...bookFilterValidators(query),
+  query('bbox')
+    .custom(value => Boolean(parseBbox(value)))
+    .withMessage('bbox must be "minLng,minLat,maxLng,maxLat"'),
+  query('zoom')
+    .isInt({ min: 0, max: bookMapService.MAX_ZOOM })
+    .withMessage(`zoom must be an integer between 0 and ${bookMapService.MAX_ZOOM}`)
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bbox = parseBbox(req.query.bbox);
+    const { zoom } = req.query;
+    const { cellSize, total, clusters } = await bookMapService.clusterBooks({
+      bbox,
+      zoom,
+      filters: buildBookFilter(req.query)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        bbox,
+        zoom,
+        cellSize,
+        totalBooks: total,
+        clusters
+      }
+    });
+  } catch (error) {
+    console.error('Get book map error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching book map'
+    });
+  }
+});
+
 // @route   GET /api/books/:id
 // @desc    Get single book by ID
 // @access  Public
 router.get('/:id', async (req, res) => {
   try {
     const book = await Book.findById(req.params.id)
-      .populate('owner', 'username firstName lastName location rating totalSwaps avatar bio');
+      .populate('owner', 'username firstName lastName location rating totalSwaps avatar bio')
+      .populate('previousOwners.owner', 'username firstName lastName avatar');
 
     if (!book) {
       return res.status(404).json({
@@ -117,70 +169,136 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Condition spellings accepted from clients, mapped to Book.CONDITIONS
+const CONDITION_ALIASES = {
+  excellent: 'Very Good',
+  'very good': 'Very Good',
+  good: 'Good',
+  fair: 'Fair',
+  poor: 'Poor',
+  new: 'New',
+  'like new': 'Like New'
+};
+
+// Fields an owner may change through PUT /api/books/:id. Ownership, history, holds and
+// position are managed by the app; images go through /api/uploads.
+const EDITABLE_FIELDS = [
+  'title', 'author', 'genre', 'condition', 'language', 'description', 'isbn',
+  'publishedYear', 'publisher', 'pageCount', 'tags', 'isAvailable', 'listingType', 'giveawayMode'
+];
+
+// Where a user's books are shown: their profile location and fuzzed coordinates
+const ownerPlacement = async (userId) => {
+  const user = await User.findById(userId).select('location geo');
+  if (!user) return { location: '', geo: undefined };
+  return { location: user.location || '', geo: fuzzPoint(user.geo, user._id) };
+};
+
+// Validator that accepts any valid ISBN-10 or ISBN-13 and normalizes it to ISBN-13
+const isbnValidator = () => body('isbn')
+  .optional({ values: 'falsy' })
+  .custom(isValidIsbn)
+  .withMessage('ISBN must be a valid ISBN-10 or ISBN-13')
+  .customSanitizer(toIsbn13);
+
+// @route   GET /api/books/isbn/:isbn
+// @desc    Look up title, author, publisher, year, pages and cover for an ISBN
+// @access  Public
+router.get('/isbn/:isbn', async (req, res) => {
+  try {
+    const isbn = toIsbn13(req.params.isbn);
+    if (!isbn) {
+      return res.status(400).json({
+        success: false,
+        message: 'ISBN must be a valid ISBN-10 or ISBN-13'
+      });
+    }
+
+    const metadata = await lookupIsbn(isbn);
+    if (!metadata) {
+      return res.status(404).json({
+        success: false,
+        message: 'No details found for this ISBN'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { isbn, metadata }
+    });
+  } catch (error) {
+    console.error('ISBN lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while looking up ISBN'
+    });
+  }
+});
+
 // @route   POST /api/books
-// @desc    Add a new book (validations disabled for now)
+// @desc    Add a new book (most validations disabled for now). Details missing from
+//          the request are filled in from the ISBN when one is given.
 // @access  Public
-router.post('/', [optionalAuth], async (req, res) => {
+router.post('/', [optionalAuth, isbnValidator()], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     console.log('Book creation request received:', {
       userId: req.user?._id,
       body: req.body
     });
 
     const {
-      title,
-      author,
       genre,
       condition,
       language = 'English',
       description,
       isbn,
-      publishedYear,
-      publisher,
-      pageCount,
       tags,
-      coverImage,
       images,
+      listingType,
+      giveawayMode,
       email
     } = req.body;
 
+    // Anything the user typed wins over looked-up details
+    const details = {};
+    const missing = METADATA_FIELDS.filter(field => !req.body[field]);
+    const metadata = isbn && missing.length > 0 ? await lookupIsbn(isbn) : null;
+    METADATA_FIELDS.forEach((field) => {
+      details[field] = req.body[field] || (metadata ? metadata[field] : undefined);
+    });
+    const { title, author, publishedYear, publisher, pageCount, coverImage } = details;
+
     console.log('Extracted book data:', {
       title, author, genre, condition, email
     });
 
     // Normalize/Default values so creation succeeds
-    const normalizeCondition = (val) => {
-      if (!val) return 'Good';
-      const map = {
-        excellent: 'Very Good',
-        'very good': 'Very Good',
-        good: 'Good',
-        fair: 'Fair',
-        poor: 'Poor',
-        new: 'New',
-        'like new': 'Like New'
-      };
-      const key = String(val).toLowerCase();
-      return map[key] || 'Good';
-    };
+    const normalizeCondition = val => (val && CONDITION_ALIASES[String(val).toLowerCase()]) || 'Good';
 
-    const safeTitle = (req.body.title && String(req.body.title).trim()) || 'Untitled';
-    const safeAuthor = (req.body.author && String(req.body.author).trim()) || 'Unknown';
+    const safeTitle = (title && String(title).trim()) || 'Untitled';
+    const safeAuthor = (author && String(author).trim()) || 'Unknown';
     const safeGenre = (req.body.genre && String(req.body.genre).trim()) || 'General';
     const safeLanguage = (req.body.language && String(req.body.language).trim()) || 'English';
     const safeEmail = (email && String(email).trim()) || null;
 
     let location = '';
+    let geo;
     let ownerId = null;
     
     // If user is authenticated, use their info
     if (req.user) {
       ownerId = req.user._id;
-      // Get user's location for the book
-      const user = await User.findById(req.user._id);
-      if (user) {
-        location = user.location || '';
-      }
+      // Get user's location for the book; its coordinates are fuzzed before they go public
+      ({ location, geo } = await ownerPlacement(req.user._id));
     }
 
     const book = new Book({
@@ -197,12 +315,18 @@ router.post('/', [optionalAuth], async (req, res) => {
       tags,
       coverImage,
       images,
+      // Unknown values fall back to the schema defaults
+      listingType: Book.LISTING_TYPES.includes(listingType) ? listingType : undefined,
+      giveawayMode: Book.GIVEAWAY_MODES.includes(giveawayMode) ? giveawayMode : undefined,
       owner: ownerId, // May be null for anonymous submissions
       ownerEmail: safeEmail,
-      location: location
+      location: location,
+      geo
     });
 
     await book.save();
+    await wantListService.notifyWanters(book);
+    await savedSearchService.alertInstantMatches(book);
     if (ownerId) {
       await book.populate('owner', 'username firstName lastName location rating');
     }
@@ -247,7 +371,8 @@ router.put('/:id', [
   body('condition')
     .optional()
     .isIn(['excellent', 'good', 'fair'])
-    .withMessage('Invalid condition'),
+    .withMessage('Invalid condition')
+    .customSanitizer(value => CONDITION_ALIASES[value]),
   body('language')
     .optional()
     .trim()
@@ -261,7 +386,16 @@ router.put('/:id', [
   body('isAvailable')
     .optional()
     .isBoolean()
-    .withMessage('isAvailable must be a boolean')
+    .withMessage('isAvailable must be a boolean'),
+  isbnValidator(),
+  body('listingType')
+    .optional()
+    .isIn(Book.LISTING_TYPES)
+    .withMessage('Listing type must be swap or giveaway'),
+  body('giveawayMode')
+    .optional()
+    .isIn(Book.GIVEAWAY_MODES)
+    .withMessage('Giveaway mode must be first_come or choose')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -290,14 +424,46 @@ router.put('/:id', [
       });
     }
 
+    // A book held by an accepted swap must not be put back on the market
+    if (req.body.isAvailable === true && !book.isAvailable && await Swap.hasCommittedBooks([book._id])) {
+      return res.status(400).json({
+        success: false,
+        message: 'This book is part of an accepted swap or loan and cannot be made available'
+      });
+    }
+
+    const wasGiveaway = book.listingType === 'giveaway';
+    const wasAvailable = book.isAvailable;
+
     // Update book fields
-    Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
-        book[key] = req.body[key];
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        book[field] = req.body[field];
       }
     });
 
+    // The book stays where its owner is, never at coordinates sent by the client
+    if (book.owner) {
+      const { location, geo } = await ownerPlacement(book.owner);
+      book.location = location;
+      book.geo = geo;
+    }
+
     await book.save();
+
+    // Taking a book off giveaway turns down everyone still waiting for it
+    if (wasGiveaway && book.listingType !== 'giveaway') {
+      await GiveawayRequest.updateMany(
+        { book: book._id, status: 'pending' },
+        { status: 'declined', respondedAt: new Date() }
+      );
+    }
+
+    if (!wasAvailable && book.isAvailable) {
+      await waitlistService.offerBooks([book._id]);
+      await wantListService.notifyWanters(book);
+      await savedSearchService.alertInstantMatches(book);
+    }
     await book.populate('owner', 'username firstName lastName location rating');
 
     res.json({
@@ -314,6 +480,188 @@ router.put('/:id', [
   }
 });
 
+// @route   PUT /api/books/:id/relist
+// @desc    Make a book available for swapping again (e.g. after receiving it in a swap)
+// @access  Private
+router.put('/:id/relist', authenticateToken, async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+
+    if (!book || !book.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+
+    // Check if user owns the book
+    if (!book.canEdit(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to relist this book'
+      });
+    }
+
+    // Books held by an accepted swap or out on loan cannot be relisted until it is resolved
+    if (await Swap.hasCommittedBooks([book._id])) {
+      return res.status(400).json({
+        success: false,
+        message: 'This book is part of an accepted swap or loan and cannot be relisted'
+      });
+    }
+
+    await book.relist();
+    await waitlistService.offerBooks([book._id]);
+    await wantListService.notifyWanters(book);
+    await savedSearchService.alertInstantMatches(book);
+    await book.populate('owner', 'username firstName lastName location rating');
+
+    res.json({
+      success: true,
+      message: 'Book relisted successfully',
+      data: { book }
+    });
+  } catch (error) {
+    console.error('Relist book error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while relisting book'
+    });
+  }
+});
+
+// @route   GET /api/books/:id/waitlist
+// @desc    Get the waitlist for a book: its length and hold for the owner, your place otherwise
+// @access  Private
+router.get('/:id/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+
+    if (!book || !book.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+
+    const waiting = await WaitlistEntry.countDocuments({ book: book._id, status: { $in: ['waiting', 'notified'] } });
+
+    if (book.owner && book.canEdit(req.user._id)) {
+      return res.json({
+        success: true,
+        data: { waiting, priorityHold: book.priorityHold }
+      });
+    }
+
+    const entry = await WaitlistEntry.findLive(book._id, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        waiting,
+        entry,
+        position: entry ? await WaitlistEntry.positionOf(entry) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching waitlist'
+    });
+  }
+});
+
+// @route   POST /api/books/:id/waitlist
+// @desc    Join the waitlist for a book that is currently unavailable
+// @access  Private
+router.post('/:id/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+
+    if (!book || !book.isActive || !book.owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+
+    if (book.canEdit(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot join the waitlist for your own book'
+      });
+    }
+
+    if (book.isAvailable && !book.isHeldFrom(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This book is available; request it directly'
+      });
+    }
+
+    if (await WaitlistEntry.findLive(book._id, req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this book'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({ book: book._id, user: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Joined the waitlist',
+      data: { entry, position: await WaitlistEntry.positionOf(entry) }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while joining waitlist'
+    });
+  }
+});
+
+// @route   DELETE /api/books/:id/waitlist
+// @desc    Leave a book's waitlist; a priority window you hold passes to the next waiter
+// @access  Private
+router.delete('/:id/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findLive(req.params.id, req.user._id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this book'
+      });
+    }
+
+    const wasHolding = entry.status === 'notified';
+    entry.status = 'left';
+    await entry.save();
+
+    if (wasHolding) {
+      await Book.updateOne(
+        { _id: entry.book, 'priorityHold.user': req.user._id },
+        { $unset: { priorityHold: 1 } }
+      );
+      await waitlistService.offerBooks([entry.book]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Left the waitlist'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while leaving waitlist'
+    });
+  }
+});
+
 // @route   DELETE /api/books/:id
 // @desc    Delete a book
 // @access  Private
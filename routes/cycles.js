@@ -0,0 +1,167 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const SwapCycle = require('../models/SwapCycle');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields populated on every cycle returned by these routes
+const cyclePopulate = [
+  { path: 'legs.giver', select: 'username firstName lastName avatar rating' },
+  { path: 'legs.receiver', select: 'username firstName lastName avatar rating' },
+  { path: 'legs.book', select: 'title author coverImage condition' }
+];
+
+// Load a cycle and make sure the current user takes part in it
+const loadParticipantCycle = async (req, res) => {
+  const cycle = await SwapCycle.findById(req.params.id);
+
+  if (!cycle) {
+    res.status(404).json({
+      success: false,
+      message: 'Swap cycle not found'
+    });
+    return null;
+  }
+
+  if (!cycle.isParticipant(req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this swap cycle'
+    });
+    return null;
+  }
+
+  return cycle;
+};
+
+// @route   GET /api/cycles
+// @desc    Get swap cycles the user takes part in
+// @access  Private
+router.get('/', [
+  auth,
+  query('status').optional().isIn(SwapCycle.STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cycles = await SwapCycle.findUserCycles(req.user._id, req.query.status);
+
+    res.json({
+      success: true,
+      data: { cycles }
+    });
+  } catch (error) {
+    console.error('Get swap cycles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching swap cycles'
+    });
+  }
+});
+
+// @route   GET /api/cycles/:id
+// @desc    Get single swap cycle by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const cycle = await loadParticipantCycle(req, res);
+    if (!cycle) return;
+
+    await cycle.populate(cyclePopulate);
+
+    res.json({
+      success: true,
+      data: { cycle }
+    });
+  } catch (error) {
+    console.error('Get swap cycle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching swap cycle'
+    });
+  }
+});
+
+// Shared handler for the participant actions below
+const cycleAction = (action, successMessage, logLabel, errorMessage) => async (req, res) => {
+  try {
+    const cycle = await loadParticipantCycle(req, res);
+    if (!cycle) return;
+
+    await cycle[action](req.user._id);
+    await cycle.populate(cyclePopulate);
+
+    res.json({
+      success: true,
+      message: typeof successMessage === 'function' ? successMessage(cycle) : successMessage,
+      data: { cycle }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(`${logLabel} swap cycle error:`, error);
+    res.status(500).json({
+      success: false,
+      message: errorMessage
+    });
+  }
+};
+
+// @route   PUT /api/cycles/:id/accept
+// @desc    Accept your leg of a proposed cycle; books lock once every participant accepts
+// @access  Private
+router.put('/:id/accept', auth, cycleAction(
+  'accept',
+  cycle => (cycle.status === 'accepted'
+    ? 'All participants accepted; the books are now reserved'
+    : 'Acceptance recorded; waiting for the other participants'),
+  'Accept',
+  'Server error while accepting swap cycle'
+));
+
+// @route   PUT /api/cycles/:id/decline
+// @desc    Decline a proposed cycle
+// @access  Private
+router.put('/:id/decline', auth, cycleAction(
+  'decline',
+  'Swap cycle declined',
+  'Decline',
+  'Server error while declining swap cycle'
+));
+
+// @route   PUT /api/cycles/:id/complete
+// @desc    Confirm you received your book; the cycle completes and every book changes
+//          owner once all participants have confirmed
+// @access  Private
+router.put('/:id/complete', auth, cycleAction(
+  'confirmReceipt',
+  cycle => (cycle.status === 'completed'
+    ? 'Swap cycle marked as completed'
+    : 'Receipt confirmed; waiting for the other participants'),
+  'Complete',
+  'Server error while completing swap cycle'
+));
+
+// @route   PUT /api/cycles/:id/cancel
+// @desc    Cancel an accepted cycle and release the books
+// @access  Private
+router.put('/:id/cancel', auth, cycleAction(
+  'cancel',
+  'Swap cycle cancelled',
+  'Cancel',
+  'Server error while cancelling swap cycle'
+));
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const Notification = require('../models/Notification');
+const eventService = require('../services/eventService');
+const {
+  authenticateToken,
+  authenticateStreamToken,
+  generateStreamToken,
+  STREAM_TOKEN_EXPIRES_IN
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+// Streams re-check the database so events published by other instances still arrive
+const CATCH_UP_MS = 15 * 1000;
+// Long-poll requests re-check the database at this interval while waiting
+const POLL_RECHECK_MS = 2 * 1000;
+// Keep the default wait under typical serverless function time limits
+const DEFAULT_POLL_WAIT_SECONDS = 8;
+const MAX_POLL_WAIT_SECONDS = 25;
+
+// Shape of an event as sent to clients
+const serializeEvent = notification => ({
+  id: notification._id,
+  type: notification.type,
+  data: notification.data,
+  createdAt: notification.createdAt
+});
+
+// A cursor for "from now on": ObjectIds sort by creation time
+const currentCursor = () => new mongoose.Types.ObjectId().toString();
+
+// Whether a client-sent cursor is a notification id (24 hex characters, as sent in `id:` lines)
+const isCursor = value => typeof value === 'string' && value.length === 24 && mongoose.isValidObjectId(value);
+
+// @route   POST /api/events/token
+// @desc    Issue a short-lived token for opening the event stream with ?token=
+//          (EventSource cannot send the Authorization header); fetch a new one to reconnect
+// @access  Private
+router.post('/token', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      token: generateStreamToken(req.user._id),
+      expiresIn: STREAM_TOKEN_EXPIRES_IN
+    }
+  });
+});
+
+// @route   GET /api/events/stream
+// @desc    Server-Sent Events stream of the user's swap, message and review events
+// @access  Private (Bearer header, or ?token= with a token from POST /api/events/token)
+router.get('/stream', authenticateStreamToken, async (req, res) => {
+  // Serverless functions buffer responses, so streaming cannot work there
+  if (req.app.get('serverless')) {
+    return res.status(503).json({
+      success: false,
+      message: 'Event streaming is not available on this deployment, use long-polling instead',
+      data: { fallback: '/api/events/poll' }
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${POLL_RECHECK_MS}\n\n`);
+
+  const userId = req.user._id;
+  // Resume after the last event the client saw, or start from now. Both come from the
+  // client, so anything that is not a notification id is ignored.
+  // Lower-cased because ids are compared as strings below
+  let lastId = ([req.get('Last-Event-ID'), req.query.since].find(isCursor) || currentCursor()).toLowerCase();
+
+  const send = (notification) => {
+    const id = notification._id.toString();
+    if (id <= lastId) return;
+
+    res.write(`id: ${id}\nevent: ${notification.type}\ndata: ${JSON.stringify(serializeEvent(notification))}\n\n`);
+    lastId = id;
+  };
+
+  const catchUp = async () => {
+    try {
+      const missed = await Notification.findSince(userId, lastId);
+      missed.forEach(send);
+    } catch (error) {
+      console.error('Event stream catch-up error:', error);
+    }
+  };
+
+  const unsubscribe = eventService.subscribe(userId, send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const catchUpTimer = setInterval(catchUp, CATCH_UP_MS);
+
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearInterval(catchUpTimer);
+  });
+
+  await catchUp();
+});
+
+// @route   GET /api/events/poll
+// @desc    Long-poll for events after a cursor (fallback for serverless deployments)
+// @access  Private
+router.get('/poll', [
+  authenticateToken,
+  query('since').optional().isMongoId(),
+  query('wait').optional().isInt({ min: 0, max: MAX_POLL_WAIT_SECONDS }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user._id;
+    const since = req.query.since || currentCursor();
+    const wait = req.query.wait !== undefined ? req.query.wait : DEFAULT_POLL_WAIT_SECONDS;
+    const deadline = Date.now() + wait * 1000;
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    let events = await Notification.findSince(userId, since);
+    while (events.length === 0 && !closed && Date.now() < deadline) {
+      await eventService.waitForNext(userId, Math.min(POLL_RECHECK_MS, deadline - Date.now()));
+      events = await Notification.findSince(userId, since);
+    }
+
+    if (closed) return;
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(serializeEvent),
+        cursor: events.length > 0 ? events[events.length - 1]._id : since
+      }
+    });
+  } catch (error) {
+    console.error('Poll events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while polling events'
+    });
+  }
+});
+
+// @route   GET /api/events
+// @desc    Get the user's recent notifications
+// @access  Private
+router.get('/', [
+  authenticateToken,
+  query('unread').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { unread, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user._id };
+    if (unread) {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ _id: -1 }).skip(skip).limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unread: unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalNotifications: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+});
+
+// @route   PUT /api/events/read
+// @desc    Mark notifications as read (all of them when no ids are given)
+// @access  Private
+router.put('/read', [
+  authenticateToken,
+  body('ids').optional().isArray().withMessage('ids must be an array'),
+  body('ids.*').isMongoId().withMessage('Valid notification IDs are required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { user: req.user._id, readAt: null };
+    if (req.body.ids) {
+      filter._id = { $in: req.body.ids };
+    }
+
+    const result = await Notification.updateMany(filter, { readAt: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notifications'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,372 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const GiveawayRequest = require('../models/GiveawayRequest');
+const Book = require('../models/Book');
+const Swap = require('../models/Swap');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { auth } = require('../middleware/auth');
+const eventService = require('../services/eventService');
+
+const router = express.Router();
+
+// Fields populated on every giveaway request returned by these routes
+const requestPopulate = [
+  { path: 'book', select: 'title author coverImage condition listingType giveawayMode' },
+  { path: 'owner', select: 'username firstName lastName avatar rating' },
+  { path: 'requester', select: 'username firstName lastName avatar rating giveawaysReceived' }
+];
+
+// Load a giveaway request and make sure the current user is its owner or requester
+const loadPartyRequest = async (req, res) => {
+  const request = await GiveawayRequest.findById(req.params.id);
+
+  if (!request || !(request.isOwner(req.user.id) || request.isRequester(req.user.id))) {
+    res.status(404).json({
+      success: false,
+      message: 'Giveaway request not found'
+    });
+    return null;
+  }
+
+  return request;
+};
+
+// Tell the winner and everyone turned down about an award
+const announceAward = async (request, declined) => {
+  // The winner's priority window, if they had one, has served its purpose
+  await WaitlistEntry.markFulfilled([request.book], request.requester);
+
+  await eventService.publish(request.requester, 'giveaway.awarded', {
+    requestId: request._id,
+    bookId: request.book
+  });
+  if (declined.length > 0) {
+    await eventService.publish(declined.map(other => other.requester), 'giveaway.declined', {
+      bookId: request.book
+    });
+  }
+};
+
+// Award the book to a request and tell the recipient and everyone turned down
+const award = async (request) => {
+  await announceAward(request, await request.accept());
+};
+
+// Send the status error of a giveaway action, or a generic 500
+const handleActionError = (res, error, logLabel, errorMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${logLabel} giveaway error:`, error);
+  res.status(500).json({
+    success: false,
+    message: errorMessage
+  });
+};
+
+// @route   GET /api/giveaways/requests
+// @desc    Get the user's giveaway requests as giver, requester or both
+// @access  Private
+router.get('/requests', [
+  auth,
+  query('role').optional().isIn(['owner', 'requester', 'all']),
+  query('status').optional().isIn(GiveawayRequest.STATUSES),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role = 'all', status, page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filters = {};
+    if (role === 'owner') {
+      filters.owner = req.user._id;
+    } else if (role === 'requester') {
+      filters.requester = req.user._id;
+    } else {
+      filters.$or = [{ owner: req.user._id }, { requester: req.user._id }];
+    }
+    if (status) filters.status = status;
+
+    const [requests, total] = await Promise.all([
+      GiveawayRequest.find(filters)
+        .populate(requestPopulate)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      GiveawayRequest.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRequests: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get giveaway requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching giveaway requests'
+    });
+  }
+});
+
+// @route   GET /api/giveaways/books/:bookId/requests
+// @desc    Get the pending requests for one of the user's giveaways, oldest first
+// @access  Private
+router.get('/books/:bookId/requests', auth, async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.bookId);
+
+    if (!book || !book.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+
+    if (!book.canEdit(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can see requests for this giveaway'
+      });
+    }
+
+    const requests = await GiveawayRequest.find({ book: book._id, status: 'pending' })
+      .populate(requestPopulate)
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { requests }
+    });
+  } catch (error) {
+    console.error('Get book giveaway requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching giveaway requests'
+    });
+  }
+});
+
+// @route   POST /api/giveaways
+// @desc    Ask for a giveaway book; first-come giveaways are awarded immediately
+// @access  Private
+router.post('/', [
+  auth,
+  body('bookId')
+    .isMongoId()
+    .withMessage('Valid book ID is required'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookId, message = '' } = req.body;
+
+    const book = await Book.findById(bookId);
+    if (!book || !book.isActive || !book.isAvailable || !book.owner || book.listingType !== 'giveaway') {
+      return res.status(400).json({
+        success: false,
+        message: 'This book is not an available giveaway'
+      });
+    }
+
+    if (book.canEdit(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot request your own book'
+      });
+    }
+
+    if (await Swap.hasCommittedBooks([book._id])) {
+      return res.status(409).json({
+        success: false,
+        message: 'This book is already committed to a swap or loan'
+      });
+    }
+
+    if (book.isHeldFrom(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This book is reserved for someone on its waitlist for now'
+      });
+    }
+
+    const existingRequest = await GiveawayRequest.exists({
+      book: book._id,
+      requester: req.user.id,
+      status: 'pending'
+    });
+    if (existingRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending request for this giveaway'
+      });
+    }
+
+    let request = new GiveawayRequest({
+      book: book._id,
+      owner: book.owner,
+      requester: req.user.id,
+      message
+    });
+
+    await request.save();
+    await eventService.publish(book.owner, 'giveaway.requested', {
+      requestId: request._id,
+      bookId: book._id,
+      by: req.user._id
+    });
+
+    // First come, first served: the earliest pending request wins
+    if (book.giveawayMode === 'first_come') {
+      const winner = await GiveawayRequest.awardFirstPending(book._id);
+      if (winner) {
+        await announceAward(winner, winner.$locals.declinedRequests || []);
+      }
+      request = await GiveawayRequest.findById(request._id);
+    }
+    await request.populate(requestPopulate);
+
+    res.status(201).json({
+      success: true,
+      message: request.status === 'accepted'
+        ? 'The book is yours'
+        : 'Giveaway request sent successfully',
+      data: { request }
+    });
+  } catch (error) {
+    handleActionError(res, error, 'Request', 'Server error while requesting giveaway');
+  }
+});
+
+// @route   PUT /api/giveaways/requests/:id/accept
+// @desc    Pick this requester as the recipient (owner); other requests are declined
+// @access  Private
+router.put('/requests/:id/accept', auth, async (req, res) => {
+  try {
+    const request = await loadPartyRequest(req, res);
+    if (!request) return;
+
+    if (!request.isOwner(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can choose a recipient'
+      });
+    }
+
+    await award(request);
+    await request.populate(requestPopulate);
+
+    res.json({
+      success: true,
+      message: 'Giveaway awarded successfully',
+      data: { request }
+    });
+  } catch (error) {
+    handleActionError(res, error, 'Accept', 'Server error while awarding giveaway');
+  }
+});
+
+// @route   PUT /api/giveaways/requests/:id/decline
+// @desc    Turn a giveaway request down (owner)
+// @access  Private
+router.put('/requests/:id/decline', auth, async (req, res) => {
+  try {
+    const request = await loadPartyRequest(req, res);
+    if (!request) return;
+
+    if (!request.isOwner(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can decline this request'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot decline a ${request.status} giveaway request`
+      });
+    }
+
+    request.status = 'declined';
+    request.respondedAt = new Date();
+    await request.save();
+    await eventService.publish(request.requester, 'giveaway.declined', {
+      requestId: request._id,
+      bookId: request.book
+    });
+    await request.populate(requestPopulate);
+
+    res.json({
+      success: true,
+      message: 'Giveaway request declined',
+      data: { request }
+    });
+  } catch (error) {
+    handleActionError(res, error, 'Decline', 'Server error while declining giveaway request');
+  }
+});
+
+// @route   PUT /api/giveaways/requests/:id/cancel
+// @desc    Withdraw a giveaway request (requester)
+// @access  Private
+router.put('/requests/:id/cancel', auth, async (req, res) => {
+  try {
+    const request = await loadPartyRequest(req, res);
+    if (!request) return;
+
+    if (!request.isRequester(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester can cancel this request'
+      });
+    }
+
+    await request.cancel();
+    await request.populate(requestPopulate);
+
+    res.json({
+      success: true,
+      message: 'Giveaway request cancelled',
+      data: { request }
+    });
+  } catch (error) {
+    handleActionError(res, error, 'Cancel', 'Server error while cancelling giveaway request');
+  }
+});
+
+module.exports = router;
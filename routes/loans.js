@@ -0,0 +1,418 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Loan = require('../models/Loan');
+const Book = require('../models/Book');
+const Swap = require('../models/Swap');
+const { auth } = require('../middleware/auth');
+const eventService = require('../services/eventService');
+
+const router = express.Router();
+
+// Fields populated on every loan returned by these routes
+const loanPopulate = [
+  { path: 'book', select: 'title author coverImage condition' },
+  { path: 'owner', select: 'username firstName lastName avatar rating' },
+  { path: 'borrower', select: 'username firstName lastName avatar rating borrowerReliability' }
+];
+
+// Load a loan and make sure the current user is its owner or borrower
+const loadPartyLoan = async (req, res) => {
+  const loan = await Loan.findById(req.params.id);
+
+  if (!loan || !loan.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Loan not found'
+    });
+    return null;
+  }
+
+  if (!loan.isParty(req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this loan'
+    });
+    return null;
+  }
+
+  return loan;
+};
+
+// Tell the other party of a loan what the current user just did
+const notifyOtherParty = (loan, userId, type) => eventService.publish(
+  loan.isOwner(userId) ? loan.borrower : loan.owner,
+  type,
+  { loanId: loan._id, status: loan.status, by: userId }
+);
+
+// Send the status error of a loan action, or a generic 500
+const handleActionError = (res, error, logLabel, errorMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${logLabel} loan error:`, error);
+  res.status(500).json({
+    success: false,
+    message: errorMessage
+  });
+};
+
+// @route   GET /api/loans
+// @desc    Get the user's loans as lender, borrower or both
+// @access  Private
+router.get('/', [
+  auth,
+  query('role').optional().isIn(['lender', 'borrower', 'all']),
+  query('status').optional().isIn(Loan.STATUSES),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role = 'all', status, page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const loansQuery = Loan.findUserLoans(req.user._id, { role, status });
+    const [loans, total] = await Promise.all([
+      loansQuery.clone().skip(skip).limit(limit),
+      Loan.countDocuments(loansQuery.getFilter())
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        loans,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalLoans: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get loans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching loans'
+    });
+  }
+});
+
+// @route   GET /api/loans/:id
+// @desc    Get single loan by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const loan = await loadPartyLoan(req, res);
+    if (!loan) return;
+
+    await loan.populate([
+      ...loanPopulate,
+      { path: 'statusHistory.actor', select: 'username firstName lastName avatar' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { loan }
+    });
+  } catch (error) {
+    console.error('Get loan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching loan'
+    });
+  }
+});
+
+// @route   POST /api/loans
+// @desc    Ask to borrow a book until a due date
+// @access  Private
+router.post('/', [
+  auth,
+  body('bookId')
+    .isMongoId()
+    .withMessage('Valid book ID is required'),
+  body('dueDate')
+    .isISO8601()
+    .withMessage('Due date must be a valid date')
+    .bail()
+    .isAfter()
+    .withMessage('Due date must be in the future'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookId, dueDate, message = '' } = req.body;
+
+    const book = await Book.findById(bookId);
+    if (!book || !book.isActive || !book.isAvailable || !book.owner) {
+      return res.status(400).json({
+        success: false,
+        message: 'This book is not available to borrow'
+      });
+    }
+
+    if (book.canEdit(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot borrow your own book'
+      });
+    }
+
+    if (book.listingType === 'giveaway') {
+      return res.status(400).json({
+        success: false,
+        message: 'Giveaway books are requested through /api/giveaways, not borrowed'
+      });
+    }
+
+    if (book.isHeldFrom(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This book is reserved for a waitlisted user right now'
+      });
+    }
+
+    if (await Swap.hasCommittedBooks([book._id])) {
+      return res.status(409).json({
+        success: false,
+        message: 'This book is already committed to a swap or loan'
+      });
+    }
+
+    const existingLoan = await Loan.exists({
+      book: book._id,
+      borrower: req.user.id,
+      status: 'requested',
+      isActive: true
+    });
+    if (existingLoan) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending loan request for this book'
+      });
+    }
+
+    const loan = new Loan({
+      book: book._id,
+      owner: book.owner,
+      borrower: req.user.id,
+      dueDate: new Date(dueDate),
+      message
+    });
+
+    await loan.save();
+    await notifyOtherParty(loan, req.user._id, 'loan.requested');
+    await loan.populate(loanPopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Loan request sent successfully',
+      data: { loan }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create loan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating loan request'
+    });
+  }
+});
+
+// @route   PUT /api/loans/:id/lend
+// @desc    Lend the book (owner), optionally with a different due date
+// @access  Private
+router.put('/:id/lend', [
+  auth,
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date')
+    .bail()
+    .isAfter()
+    .withMessage('Due date must be in the future'),
+  body('responseMessage')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Response message must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loan = await loadPartyLoan(req, res);
+    if (!loan) return;
+
+    if (!loan.isOwner(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can lend this book'
+      });
+    }
+
+    const { dueDate, responseMessage } = req.body;
+    await loan.lend(req.user._id, {
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+      responseMessage
+    });
+    await notifyOtherParty(loan, req.user._id, 'loan.lent');
+    await loan.populate(loanPopulate);
+
+    res.json({
+      success: true,
+      message: 'Book lent successfully',
+      data: { loan }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    handleActionError(res, error, 'Lend', 'Server error while lending book');
+  }
+});
+
+// @route   PUT /api/loans/:id/decline
+// @desc    Decline a loan request (owner)
+// @access  Private
+router.put('/:id/decline', [
+  auth,
+  body('responseMessage')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Response message must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loan = await loadPartyLoan(req, res);
+    if (!loan) return;
+
+    if (!loan.isOwner(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can decline this loan request'
+      });
+    }
+
+    await loan.decline(req.user._id, req.body.responseMessage);
+    await notifyOtherParty(loan, req.user._id, 'loan.declined');
+    await loan.populate(loanPopulate);
+
+    res.json({
+      success: true,
+      message: 'Loan request declined',
+      data: { loan }
+    });
+  } catch (error) {
+    handleActionError(res, error, 'Decline', 'Server error while declining loan');
+  }
+});
+
+// @route   PUT /api/loans/:id/cancel
+// @desc    Withdraw a loan request (borrower)
+// @access  Private
+router.put('/:id/cancel', auth, async (req, res) => {
+  try {
+    const loan = await loadPartyLoan(req, res);
+    if (!loan) return;
+
+    if (!loan.isBorrower(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the borrower can cancel a loan request'
+      });
+    }
+
+    await loan.cancel(req.user._id);
+    await notifyOtherParty(loan, req.user._id, 'loan.cancelled');
+    await loan.populate(loanPopulate);
+
+    res.json({
+      success: true,
+      message: 'Loan request cancelled',
+      data: { loan }
+    });
+  } catch (error) {
+    handleActionError(res, error, 'Cancel', 'Server error while cancelling loan');
+  }
+});
+
+// @route   PUT /api/loans/:id/return
+// @desc    Confirm the book came back (owner); it becomes available again
+// @access  Private
+router.put('/:id/return', auth, async (req, res) => {
+  try {
+    const loan = await loadPartyLoan(req, res);
+    if (!loan) return;
+
+    if (!loan.isOwner(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can confirm a return'
+      });
+    }
+
+    await loan.markReturned(req.user._id);
+    await notifyOtherParty(loan, req.user._id, 'loan.returned');
+    await loan.populate(loanPopulate);
+
+    res.json({
+      success: true,
+      message: loan.returnedLate ? 'Book returned (late)' : 'Book returned on time',
+      data: { loan }
+    });
+  } catch (error) {
+    handleActionError(res, error, 'Return', 'Server error while returning loan');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const { body, validationResult, query } = require('express-validator');
 const Review = require('../models/Review');
 const Swap = require('../models/Swap');
 const { auth } = require('../middleware/auth');
+const eventService = require('../services/eventService');
 
 const router = express.Router();
 
@@ -47,6 +48,13 @@ router.post('/', [
       });
     }
 
+    if (swap.status === 'disputed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reviews are frozen while the swap is under dispute'
+      });
+    }
+
     if (swap.status !== 'completed') {
       return res.status(400).json({
         success: false,
@@ -96,10 +104,16 @@ router.post('/', [
     });
 
     await review.save();
+    await eventService.publish(review.reviewee, 'review.received', {
+      reviewId: review._id,
+      swapId: review.swap,
+      by: req.user._id,
+      rating: review.rating
+    });
     await review.populate([
       { path: 'reviewer', select: 'username firstName lastName avatar' },
       { path: 'reviewee', select: 'username firstName lastName avatar' },
-      { path: 'swap', select: 'requestedBook offeredBook' }
+      { path: 'swap', select: 'requestedBook offeredBook requestedBooks offeredBooks' }
     ]);
 
     res.status(201).json({
@@ -141,7 +155,7 @@ router.get('/user/:userId', [
       isActive: true
     })
       .populate('reviewer', 'username firstName lastName avatar')
-      .populate('swap', 'requestedBook offeredBook')
+      .populate('swap', 'requestedBook offeredBook requestedBooks offeredBooks')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -185,7 +199,7 @@ router.get('/:id', async (req, res) => {
     const review = await Review.findById(req.params.id)
       .populate('reviewer', 'username firstName lastName avatar')
       .populate('reviewee', 'username firstName lastName avatar')
-      .populate('swap', 'requestedBook offeredBook');
+      .populate('swap', 'requestedBook offeredBook requestedBooks offeredBooks');
 
     if (!review || !review.isActive) {
       return res.status(404).json({
@@ -249,6 +263,13 @@ router.put('/:id', [
       });
     }
 
+    if (await Swap.exists({ _id: review.swap, status: 'disputed' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reviews are frozen while the swap is under dispute'
+      });
+    }
+
     const { rating, comment } = req.body;
 
     if (rating !== undefined) review.rating = rating;
@@ -258,7 +279,7 @@ router.put('/:id', [
     await review.populate([
       { path: 'reviewer', select: 'username firstName lastName avatar' },
       { path: 'reviewee', select: 'username firstName lastName avatar' },
-      { path: 'swap', select: 'requestedBook offeredBook' }
+      { path: 'swap', select: 'requestedBook offeredBook requestedBooks offeredBooks' }
     ]);
 
     res.json({
@@ -328,6 +349,13 @@ router.get('/swap/:swapId/eligible', auth, async (req, res) => {
       });
     }
 
+    if (swap.status === 'disputed') {
+      return res.json({
+        success: true,
+        data: { canReview: false, reason: 'Swap is under dispute' }
+      });
+    }
+
     if (swap.status !== 'completed') {
       return res.json({
         success: true,
@@ -369,7 +397,9 @@ router.get('/swap/:swapId/eligible', auth, async (req, res) => {
         swap: {
           id: swap._id,
           requestedBook: swap.requestedBook,
-          offeredBook: swap.offeredBook
+          offeredBook: swap.offeredBook,
+          requestedBooks: swap.requestedBooks,
+          offeredBooks: swap.offeredBooks
         }
       }
     });
@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const { auth } = require('../middleware/auth');
+const { bookFilterValidators, pickBookFilters } = require('../utils/bookFilters');
+const bookSearchService = require('../services/bookSearchService');
+
+const router = express.Router();
+
+// Load a saved search belonging to the current user
+const loadOwnSearch = async (req, res) => {
+  const search = await SavedSearch.findById(req.params.id);
+
+  if (!search || search.user.toString() !== req.user.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Saved search not found'
+    });
+    return null;
+  }
+
+  return search;
+};
+
+// @route   GET /api/saved-searches
+// @desc    Get the current user's saved searches
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { searches }
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching saved searches'
+    });
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a set of book filters, with instant, daily or no alerts
+// @access  Private
+router.post('/', [
+  auth,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  ...bookFilterValidators(body, 'filters.'),
+  body('alertFrequency')
+    .optional()
+    .isIn(SavedSearch.ALERT_FREQUENCIES)
+    .withMessage('Alert frequency must be instant, daily or none')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filters = pickBookFilters(req.body.filters);
+    if (Object.keys(filters).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A saved search needs at least one filter'
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= SavedSearch.MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep at most ${SavedSearch.MAX_SAVED_SEARCHES} saved searches`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: req.user._id,
+      name: req.body.name,
+      filters,
+      alertFrequency: req.body.alertFrequency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      data: { search }
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving search'
+    });
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Rename a saved search, replace its filters or change its alerts
+// @access  Private
+router.put('/:id', [
+  auth,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  ...bookFilterValidators(body, 'filters.'),
+  body('alertFrequency')
+    .optional()
+    .isIn(SavedSearch.ALERT_FREQUENCIES)
+    .withMessage('Alert frequency must be instant, daily or none')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const search = await loadOwnSearch(req, res);
+    if (!search) return;
+
+    const { name, alertFrequency } = req.body;
+
+    if (req.body.filters !== undefined) {
+      const filters = pickBookFilters(req.body.filters);
+      if (Object.keys(filters).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A saved search needs at least one filter'
+        });
+      }
+      search.filters = filters;
+    }
+    if (name !== undefined) search.name = name;
+    if (alertFrequency !== undefined) {
+      // Switching to daily digests starts from now rather than replaying old listings
+      if (alertFrequency === 'daily' && search.alertFrequency !== 'daily') {
+        search.lastDigestAt = new Date();
+      }
+      search.alertFrequency = alertFrequency;
+    }
+
+    await search.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      data: { search }
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating saved search'
+    });
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const search = await loadOwnSearch(req, res);
+    if (!search) return;
+
+    await search.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting saved search'
+    });
+  }
+});
+
+// @route   GET /api/saved-searches/:id/results
+// @desc    Run a saved search, with the same results as GET /api/books
+// @access  Private
+router.get('/:id/results', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const search = await loadOwnSearch(req, res);
+    if (!search) return;
+
+    const { page = 1, limit = 12 } = req.query;
+    const { books, total } = await bookSearchService.searchBooks(search.filters, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        search,
+        books,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalBooks: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Run saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running saved search'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,80 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Swap = require('../models/Swap');
+const Message = require('../models/Message');
 const Book = require('../models/Book');
 const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const { auth } = require('../middleware/auth');
+const matchingService = require('../services/matchingService');
+const eventService = require('../services/eventService');
+const calendarService = require('../services/calendarService');
+const waitlistService = require('../services/waitlistService');
 
 const router = express.Router();
 
+// Fields populated on every swap returned by these routes
+const swapPopulate = [
+  { path: 'requester', select: 'username firstName lastName avatar rating' },
+  { path: 'owner', select: 'username firstName lastName avatar rating' },
+  { path: 'requestedBook', select: 'title author coverImage condition' },
+  { path: 'offeredBook', select: 'title author coverImage condition' },
+  { path: 'requestedBooks', select: 'title author coverImage condition' },
+  { path: 'offeredBooks', select: 'title author coverImage condition' }
+];
+
+// Tell the other party of a swap what the current user just did (call before populating)
+const notifyCounterparty = (swap, userId, type, data = {}) => eventService.publish(
+  swap.isRequester(userId) ? swap.owner : swap.requester,
+  type,
+  { swapId: swap._id, status: swap.status, by: userId, ...data }
+);
+
+// Tell everyone but the current user about pending swaps closed because their books were committed
+const notifyResolvedConflicts = async (swap, userId) => {
+  for (const conflict of swap.$locals.resolvedConflicts || []) {
+    const recipients = [conflict.requester, conflict.owner]
+      .filter(id => id.toString() !== userId.toString());
+    await eventService.publish(recipients, `swap.${conflict.status}`, {
+      swapId: conflict._id,
+      status: conflict.status,
+      by: null,
+      committedBy: swap._id
+    });
+  }
+};
+
+// Validators for a shipping address posted under `field`
+const addressValidators = (field, { optional = false } = {}) => {
+  const at = path => (optional ? body(`${field}.${path}`).if(body(field).exists()) : body(`${field}.${path}`));
+  return [
+    at('name').optional().trim().isLength({ max: 100 }).withMessage('Name must be less than 100 characters'),
+    at('line1').trim().isLength({ min: 1, max: 200 }).withMessage('Address line 1 is required'),
+    at('line2').optional().trim().isLength({ max: 200 }).withMessage('Address line 2 must be less than 200 characters'),
+    at('city').trim().isLength({ min: 1, max: 100 }).withMessage('City is required'),
+    at('region').optional().trim().isLength({ max: 100 }).withMessage('Region must be less than 100 characters'),
+    at('postalCode').trim().isLength({ min: 1, max: 20 }).withMessage('Postal code is required'),
+    at('country').trim().isLength({ min: 1, max: 100 }).withMessage('Country is required')
+  ];
+};
+
+// Pick the address fields out of a request body
+const pickAddress = ({ name, line1, line2, city, region, postalCode, country }) => ({
+  name, line1, line2, city, region, postalCode, country
+});
+
+// Accept either a list of book ids or a single id (older clients), de-duplicated
+const collectBookIds = (ids, singleId) => {
+  const list = Array.isArray(ids) && ids.length > 0 ? ids : (singleId ? [singleId] : []);
+  return [...new Set(list.map(String))];
+};
+
 // @route   GET /api/swaps
 // @desc    Get user's swaps (both sent and received)
 // @access  Private
 router.get('/', [
   auth,
-  query('status').optional().isIn(['pending', 'accepted', 'declined', 'completed', 'cancelled']),
+  query('status').optional().isIn(Swap.STATUSES),
   query('type').optional().isIn(['sent', 'received', 'all']),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
@@ -50,10 +112,7 @@ router.get('/', [
     }
 
     const swaps = await Swap.find(query)
-      .populate('requester', 'username firstName lastName avatar rating')
-      .populate('owner', 'username firstName lastName avatar rating')
-      .populate('requestedBook', 'title author coverImage condition')
-      .populate('offeredBook', 'title author coverImage condition')
+      .populate(swapPopulate)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -63,7 +122,7 @@ router.get('/', [
     res.json({
       success: true,
       data: {
-        swaps,
+        swaps: swaps.map(swap => swap.toJSONFor(req.user.id)),
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
@@ -82,6 +141,72 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/swaps/suggestions
+// @desc    Get the user's open multi-party swap cycle proposals
+// @access  Private
+router.get('/suggestions', auth, async (req, res) => {
+  try {
+    const cycles = await matchingService.findOpenProposals(req.user._id);
+
+    res.json({
+      success: true,
+      data: { cycles }
+    });
+  } catch (error) {
+    console.error('Get swap suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching swap suggestions'
+    });
+  }
+});
+
+// @route   POST /api/swaps/suggestions
+// @desc    Look for new swap cycles through the user's want-list and propose them
+// @access  Private
+router.post('/suggestions', auth, async (req, res) => {
+  try {
+    const cycles = await matchingService.suggestForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: { cycles }
+    });
+  } catch (error) {
+    console.error('Create swap suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while finding swap suggestions'
+    });
+  }
+});
+
+// @route   GET /api/swaps/calendar/:token.ics
+// @desc    iCalendar feed of the user's upcoming swap meetings (for calendar subscriptions)
+// @access  Public (secret feed token, see GET /api/users/me/calendar-feed)
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedToken: req.params.token, isActive: true }).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const calendar = await calendarService.userFeed(user._id);
+
+    res.type('text/calendar').set('Cache-Control', 'private, max-age=300').send(calendar);
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar feed'
+    });
+  }
+});
+
 // @route   GET /api/swaps/:id
 // @desc    Get single swap by ID
 // @access  Private
@@ -91,7 +216,12 @@ router.get('/:id', auth, async (req, res) => {
       .populate('requester', 'username firstName lastName avatar rating location')
       .populate('owner', 'username firstName lastName avatar rating location')
       .populate('requestedBook', 'title author coverImage condition description')
-      .populate('offeredBook', 'title author coverImage condition description');
+      .populate('offeredBook', 'title author coverImage condition description')
+      .populate('requestedBooks', 'title author coverImage condition description')
+      .populate('offeredBooks', 'title author coverImage condition description')
+      .populate('offers.by', 'username firstName lastName avatar')
+      .populate('offers.requestedBooks', 'title author coverImage condition')
+      .populate('offers.offeredBooks', 'title author coverImage condition');
 
     if (!swap) {
       return res.status(404).json({
@@ -110,7 +240,7 @@ router.get('/:id', auth, async (req, res) => {
 
     res.json({
       success: true,
-      data: { swap }
+      data: { swap: swap.toJSONFor(req.user.id) }
     });
   } catch (error) {
     console.error('Get swap error:', error);
@@ -121,136 +251,96 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/swaps
-// @desc    Create a new swap request
+// @route   GET /api/swaps/:id/history
+// @desc    Get the status change timeline of a swap
 // @access  Private
-router.post('/', [
-  auth,
-  body('requestedBookId')
-    .isMongoId()
-    .withMessage('Valid requested book ID is required'),
-  body('offeredBookId')
-    .isMongoId()
-    .withMessage('Valid offered book ID is required'),
-  body('message')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Message must be less than 500 characters')
-], async (req, res) => {
+router.get('/:id/history', auth, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { requestedBookId, offeredBookId, message = '' } = req.body;
-
-    // Validate books exist and are available
-    const [requestedBook, offeredBook] = await Promise.all([
-      Book.findById(requestedBookId),
-      Book.findById(offeredBookId)
-    ]);
+    const swap = await Swap.findById(req.params.id)
+      .select('requester owner status statusHistory createdAt')
+      .populate('statusHistory.actor', 'username firstName lastName avatar');
 
-    if (!requestedBook || !requestedBook.isActive || !requestedBook.isAvailable) {
-      return res.status(400).json({
+    if (!swap) {
+      return res.status(404).json({
         success: false,
-        message: 'Requested book is not available'
+        message: 'Swap not found'
       });
     }
 
-    if (!offeredBook || !offeredBook.isActive || !offeredBook.isAvailable) {
-      return res.status(400).json({
+    // Check if user is involved in this swap
+    if (!swap.canModify(req.user.id) && !req.user.isAdmin()) {
+      return res.status(403).json({
         success: false,
-        message: 'Offered book is not available'
+        message: 'Not authorized to view this swap'
       });
     }
 
-    // Check if user owns the offered book
-    if (!offeredBook.canEdit(req.user.id)) {
-      return res.status(403).json({
+    res.json({
+      success: true,
+      data: {
+        status: swap.status,
+        history: swap.statusHistory
+      }
+    });
+  } catch (error) {
+    console.error('Get swap history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching swap history'
+    });
+  }
+});
+
+// @route   GET /api/swaps/:id/calendar.ics
+// @desc    Download the swap meeting as an iCalendar file
+// @access  Private
+router.get('/:id/calendar.ics', auth, async (req, res) => {
+  try {
+    const swap = await Swap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
         success: false,
-        message: 'You can only offer books you own'
+        message: 'Swap not found'
       });
     }
 
-    // Check if user is not requesting their own book
-    if (requestedBook.canEdit(req.user.id)) {
-      return res.status(400).json({
+    // Check if user is involved in this swap
+    if (!swap.canModify(req.user.id)) {
+      return res.status(403).json({
         success: false,
-        message: 'You cannot request your own book'
+        message: 'Not authorized to view this swap'
       });
     }
 
-    // Check for existing pending swap for these books
-    const existingSwap = await Swap.findOne({
-      requester: req.user.id,
-      requestedBook: requestedBookId,
-      offeredBook: offeredBookId,
-      status: 'pending',
-      isActive: true
-    });
-
-    if (existingSwap) {
-      return res.status(400).json({
+    if (!swap.meetingDate) {
+      return res.status(404).json({
         success: false,
-        message: 'You already have a pending swap request for these books'
+        message: 'No meeting has been scheduled for this swap'
       });
     }
 
-    const swap = new Swap({
-      requester: req.user.id,
-      owner: requestedBook.owner,
-      requestedBook: requestedBookId,
-      offeredBook: offeredBookId,
-      message
-    });
-
-    await swap.save();
-    await swap.populate([
-      { path: 'requester', select: 'username firstName lastName avatar rating' },
-      { path: 'owner', select: 'username firstName lastName avatar rating' },
-      { path: 'requestedBook', select: 'title author coverImage condition' },
-      { path: 'offeredBook', select: 'title author coverImage condition' }
-    ]);
+    const calendar = await calendarService.swapCalendar(swap);
 
-    res.status(201).json({
-      success: true,
-      message: 'Swap request sent successfully',
-      data: { swap }
-    });
+    res.type('text/calendar')
+      .attachment(`swap-${swap._id}.ics`)
+      .send(calendar);
   } catch (error) {
-    console.error('Create swap error:', error);
+    console.error('Get swap calendar error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while creating swap request'
+      message: 'Server error while building swap calendar'
     });
   }
 });
 
-// @route   PUT /api/swaps/:id/accept
-// @desc    Accept a swap request
+// @route   GET /api/swaps/:id/messages
+// @desc    Page through the private message thread of a swap (newest first)
 // @access  Private
-router.put('/:id/accept', [
+router.get('/:id/messages', [
   auth,
-  body('responseMessage')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Response message must be less than 500 characters'),
-  body('meetingLocation')
-    .optional()
-    .trim()
-    .isLength({ max: 200 })
-    .withMessage('Meeting location must be less than 200 characters'),
-  body('meetingDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Meeting date must be a valid date')
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -262,7 +352,7 @@ router.put('/:id/accept', [
       });
     }
 
-    const swap = await Swap.findById(req.params.id);
+    const swap = await Swap.findById(req.params.id).select('requester owner');
 
     if (!swap) {
       return res.status(404).json({
@@ -271,67 +361,53 @@ router.put('/:id/accept', [
       });
     }
 
-    // Check if user is the owner (can accept)
-    if (!swap.isOwner(req.user.id)) {
+    if (!swap.canModify(req.user.id)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the book owner can accept swap requests'
+        message: 'Not authorized to view messages for this swap'
       });
     }
 
-    // Check if swap is still pending
-    if (swap.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'This swap request is no longer pending'
-      });
-    }
-
-    // Check if swap is expired
-    if (swap.isExpired()) {
-      return res.status(400).json({
-        success: false,
-        message: 'This swap request has expired'
-      });
-    }
-
-    const { responseMessage, meetingLocation, meetingDate } = req.body;
-    const meetingDetails = {};
-    if (meetingLocation) meetingDetails.location = meetingLocation;
-    if (meetingDate) meetingDetails.date = new Date(meetingDate);
+    const { page = 1, limit = 20 } = req.query;
 
-    await swap.accept(responseMessage, meetingDetails);
-    await swap.populate([
-      { path: 'requester', select: 'username firstName lastName avatar rating' },
-      { path: 'owner', select: 'username firstName lastName avatar rating' },
-      { path: 'requestedBook', select: 'title author coverImage condition' },
-      { path: 'offeredBook', select: 'title author coverImage condition' }
+    const [messages, total, unread] = await Promise.all([
+      Message.findThread(swap._id, { page, limit }),
+      Message.countDocuments({ swap: swap._id, isActive: true }),
+      Message.countUnread(swap._id, req.user._id)
     ]);
 
     res.json({
       success: true,
-      message: 'Swap request accepted successfully',
-      data: { swap }
+      data: {
+        messages,
+        unread,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalMessages: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
     });
   } catch (error) {
-    console.error('Accept swap error:', error);
+    console.error('Get swap messages error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while accepting swap'
+      message: 'Server error while fetching messages'
     });
   }
 });
 
-// @route   PUT /api/swaps/:id/decline
-// @desc    Decline a swap request
+// @route   POST /api/swaps/:id/messages
+// @desc    Send a message to the other party of a swap
 // @access  Private
-router.put('/:id/decline', [
+router.post('/:id/messages', [
   auth,
-  body('responseMessage')
-    .optional()
+  body('body')
     .trim()
-    .isLength({ max: 500 })
-    .withMessage('Response message must be less than 500 characters')
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -343,7 +419,7 @@ router.put('/:id/decline', [
       });
     }
 
-    const swap = await Swap.findById(req.params.id);
+    const swap = await Swap.findById(req.params.id).select('requester owner');
 
     if (!swap) {
       return res.status(404).json({
@@ -352,51 +428,49 @@ router.put('/:id/decline', [
       });
     }
 
-    // Check if user is the owner (can decline)
-    if (!swap.isOwner(req.user.id)) {
+    if (!swap.canModify(req.user.id)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the book owner can decline swap requests'
+        message: 'Not authorized to send messages for this swap'
       });
     }
 
-    // Check if swap is still pending
-    if (swap.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'This swap request is no longer pending'
-      });
-    }
+    const message = new Message({
+      swap: swap._id,
+      sender: req.user._id,
+      recipient: swap.isRequester(req.user.id) ? swap.owner : swap.requester,
+      body: req.body.body
+    });
 
-    const { responseMessage } = req.body;
-    await swap.decline(responseMessage);
-    await swap.populate([
-      { path: 'requester', select: 'username firstName lastName avatar rating' },
-      { path: 'owner', select: 'username firstName lastName avatar rating' },
-      { path: 'requestedBook', select: 'title author coverImage condition' },
-      { path: 'offeredBook', select: 'title author coverImage condition' }
-    ]);
+    await message.save();
+    await eventService.publish(message.recipient, 'swap.message', {
+      swapId: swap._id,
+      messageId: message._id,
+      by: req.user._id,
+      preview: message.body.slice(0, 140)
+    });
+    await message.populate('sender', 'username firstName lastName avatar');
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Swap request declined',
-      data: { swap }
+      message: 'Message sent',
+      data: { message }
     });
   } catch (error) {
-    console.error('Decline swap error:', error);
+    console.error('Send swap message error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while declining swap'
+      message: 'Server error while sending message'
     });
   }
 });
 
-// @route   PUT /api/swaps/:id/complete
-// @desc    Mark a swap as completed
+// @route   PUT /api/swaps/:id/messages/read
+// @desc    Mark every message received in a swap thread as read
 // @access  Private
-router.put('/:id/complete', auth, async (req, res) => {
+router.put('/:id/messages/read', auth, async (req, res) => {
   try {
-    const swap = await Swap.findById(req.params.id);
+    const swap = await Swap.findById(req.params.id).select('requester owner');
 
     if (!swap) {
       return res.status(404).json({
@@ -405,88 +479,859 @@ router.put('/:id/complete', auth, async (req, res) => {
       });
     }
 
-    // Check if user is involved in this swap
     if (!swap.canModify(req.user.id)) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to complete this swap'
-      });
-    }
-
-    // Check if swap is accepted
-    if (swap.status !== 'accepted') {
-      return res.status(400).json({
-        success: false,
-        message: 'Only accepted swaps can be completed'
+        message: 'Not authorized to view messages for this swap'
       });
     }
 
-    await swap.complete();
-    await swap.populate([
-      { path: 'requester', select: 'username firstName lastName avatar rating' },
-      { path: 'owner', select: 'username firstName lastName avatar rating' },
-      { path: 'requestedBook', select: 'title author coverImage condition' },
-      { path: 'offeredBook', select: 'title author coverImage condition' }
-    ]);
+    const result = await Message.markThreadRead(swap._id, req.user._id);
 
     res.json({
       success: true,
-      message: 'Swap marked as completed',
-      data: { swap }
+      message: 'Messages marked as read',
+      data: { updated: result.modifiedCount }
     });
   } catch (error) {
-    console.error('Complete swap error:', error);
+    console.error('Mark swap messages read error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while completing swap'
+      message: 'Server error while updating messages'
     });
   }
 });
 
-// @route   PUT /api/swaps/:id/cancel
-// @desc    Cancel a swap request
+// @route   POST /api/swaps
+// @desc    Create a new swap request (one book or a bundle on each side)
 // @access  Private
-router.put('/:id/cancel', auth, async (req, res) => {
+router.post('/', [
+  auth,
+  body('requestedBookIds')
+    .optional()
+    .isArray({ min: 1, max: Swap.MAX_BUNDLE_SIZE })
+    .withMessage(`Requested books must be a list of 1 to ${Swap.MAX_BUNDLE_SIZE} book IDs`),
+  body('requestedBookIds.*')
+    .isMongoId()
+    .withMessage('Valid requested book IDs are required'),
+  body('offeredBookIds')
+    .optional()
+    .isArray({ min: 1, max: Swap.MAX_BUNDLE_SIZE })
+    .withMessage(`Offered books must be a list of 1 to ${Swap.MAX_BUNDLE_SIZE} book IDs`),
+  body('offeredBookIds.*')
+    .isMongoId()
+    .withMessage('Valid offered book IDs are required'),
+  body('requestedBookId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid requested book ID is required'),
+  body('offeredBookId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid offered book ID is required'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters'),
+  body('deliveryMethod')
+    .optional()
+    .isIn(Swap.DELIVERY_METHODS)
+    .withMessage(`Delivery method must be one of: ${Swap.DELIVERY_METHODS.join(', ')}`),
+  ...addressValidators('shippingAddress', { optional: true })
+], async (req, res) => {
   try {
-    const swap = await Swap.findById(req.params.id);
-
-    if (!swap) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      requestedBookIds,
+      offeredBookIds,
+      requestedBookId,
+      offeredBookId,
+      message = '',
+      deliveryMethod = 'meetup',
+      shippingAddress
+    } = req.body;
+    const requestedIds = collectBookIds(requestedBookIds, requestedBookId);
+    const offeredIds = collectBookIds(offeredBookIds, offeredBookId);
+
+    if (requestedIds.length === 0 || offeredIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one requested and one offered book are required'
+      });
+    }
+
+    // Books locked by an accepted (or disputed) swap or cycle cannot be requested
+    if (await Swap.hasCommittedBooks([...requestedIds, ...offeredIds])) {
+      return res.status(409).json({
+        success: false,
+        message: 'One or more of these books are already committed to another swap'
+      });
+    }
+
+    // Validate books exist and are available
+    const [requestedBooks, offeredBooks] = await Promise.all([
+      Book.find({ _id: { $in: requestedIds } }),
+      Book.find({ _id: { $in: offeredIds } })
+    ]);
+
+    if (requestedBooks.length !== requestedIds.length ||
+        requestedBooks.some(book => !book.isActive || !book.isAvailable)) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more requested books are not available'
+      });
+    }
+
+    if (requestedBooks.some(book => book.listingType === 'giveaway')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Giveaway books are requested through /api/giveaways, not swapped'
+      });
+    }
+
+    // A freed book is reserved for the first waitlisted user during their priority window
+    if (requestedBooks.some(book => book.isHeldFrom(req.user.id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'One or more requested books are reserved for a waitlisted user right now'
+      });
+    }
+
+    if (offeredBooks.length !== offeredIds.length ||
+        offeredBooks.some(book => !book.isActive || !book.isAvailable)) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more offered books are not available'
+      });
+    }
+
+    // Check if user owns every offered book
+    if (offeredBooks.some(book => !book.owner || !book.canEdit(req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only offer books you own'
+      });
+    }
+
+    // A bundle is negotiated with a single owner
+    const ownerId = requestedBooks[0].owner;
+    if (!ownerId || requestedBooks.some(book => !book.owner || book.owner.toString() !== ownerId.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'All requested books must belong to the same owner'
+      });
+    }
+
+    // Check if user is not requesting their own book
+    if (ownerId.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot request your own book'
+      });
+    }
+
+    // Check for existing pending swap for these books
+    const existingSwap = await Swap.findOne({
+      requester: req.user.id,
+      requestedBooks: { $all: requestedIds, $size: requestedIds.length },
+      offeredBooks: { $all: offeredIds, $size: offeredIds.length },
+      status: 'pending',
+      isActive: true
+    });
+
+    if (existingSwap) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending swap request for these books'
+      });
+    }
+
+    const swap = new Swap({
+      requester: req.user.id,
+      owner: ownerId,
+      requestedBooks: requestedIds,
+      offeredBooks: offeredIds,
+      message,
+      deliveryMethod
+    });
+    if (deliveryMethod === 'postal' && shippingAddress) {
+      swap.shipping.requester = { address: pickAddress(shippingAddress) };
+    }
+
+    await swap.save();
+    // Requesting a book closes the user's own priority window and waitlist place for it
+    await WaitlistEntry.markFulfilled(requestedIds, req.user._id);
+    await notifyCounterparty(swap, req.user._id, 'swap.created');
+    await swap.populate(swapPopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Swap request sent successfully',
+      data: { swap: swap.toJSONFor(req.user.id) }
+    });
+  } catch (error) {
+    console.error('Create swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating swap request'
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/accept
+// @desc    Accept a swap request
+// @access  Private
+router.put('/:id/accept', [
+  auth,
+  body('responseMessage')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Response message must be less than 500 characters'),
+  body('meetingLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Meeting location must be less than 200 characters'),
+  body('meetingDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Meeting date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
         success: false,
         message: 'Swap not found'
       });
     }
 
-    // Check if user is the requester (can cancel)
-    if (!swap.isRequester(req.user.id)) {
+    // Only the party who received the latest offer can accept it
+    if (!swap.canRespond(req.user.id)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the requester can cancel swap requests'
+        message: 'Only the party who received the latest offer can accept it'
       });
     }
 
-    // Check if swap can be cancelled
-    if (!['pending', 'accepted'].includes(swap.status)) {
+    // Expired requests are closed out instead of accepted
+    if (swap.isExpired()) {
+      await swap.expire();
+      return res.status(400).json({
+        success: false,
+        message: 'This swap request has expired'
+      });
+    }
+
+    const { responseMessage, meetingLocation, meetingDate } = req.body;
+    const meetingDetails = {};
+    if (meetingLocation) meetingDetails.location = meetingLocation;
+    if (meetingDate) meetingDetails.date = new Date(meetingDate);
+
+    await swap.accept(responseMessage, meetingDetails, req.user._id);
+    await notifyCounterparty(swap, req.user._id, 'swap.accepted');
+    await notifyResolvedConflicts(swap, req.user._id);
+    await calendarService.sendMeetingEmails(swap._id, 'accepted');
+    await swap.populate(swapPopulate);
+
+    res.json({
+      success: true,
+      message: 'Swap request accepted successfully',
+      data: { swap: swap.toJSONFor(req.user.id) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Accept swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting swap'
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/meeting
+// @desc    Reschedule the meeting of an accepted swap; calendar invites are updated
+// @access  Private
+router.put('/:id/meeting', [
+  auth,
+  body('meetingLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Meeting location must be less than 200 characters'),
+  body('meetingDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Meeting date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { meetingLocation, meetingDate } = req.body;
+    if (meetingLocation === undefined && meetingDate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a new meeting location or date'
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap not found'
+      });
+    }
+
+    // Check if user is involved in this swap
+    if (!swap.canModify(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this swap'
+      });
+    }
+
+    await swap.reschedule({
+      location: meetingLocation,
+      date: meetingDate !== undefined ? new Date(meetingDate) : undefined
+    });
+    await notifyCounterparty(swap, req.user._id, 'swap.rescheduled', {
+      meetingLocation: swap.meetingLocation,
+      meetingDate: swap.meetingDate
+    });
+    await calendarService.sendMeetingEmails(swap._id, 'rescheduled');
+    await swap.populate(swapPopulate);
+
+    res.json({
+      success: true,
+      message: 'Swap meeting rescheduled',
+      data: { swap: swap.toJSONFor(req.user.id) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Reschedule swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rescheduling swap'
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/counter
+// @desc    Counter the latest offer with a different book from either library
+// @access  Private
+router.put('/:id/counter', [
+  auth,
+  body('requestedBookIds')
+    .optional()
+    .isArray({ min: 1, max: Swap.MAX_BUNDLE_SIZE })
+    .withMessage(`Requested books must be a list of 1 to ${Swap.MAX_BUNDLE_SIZE} book IDs`),
+  body('requestedBookIds.*')
+    .isMongoId()
+    .withMessage('Valid requested book IDs are required'),
+  body('offeredBookIds')
+    .optional()
+    .isArray({ min: 1, max: Swap.MAX_BUNDLE_SIZE })
+    .withMessage(`Offered books must be a list of 1 to ${Swap.MAX_BUNDLE_SIZE} book IDs`),
+  body('offeredBookIds.*')
+    .isMongoId()
+    .withMessage('Valid offered book IDs are required'),
+  body('requestedBookId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid requested book ID is required'),
+  body('offeredBookId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid offered book ID is required'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'This swap cannot be cancelled'
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { requestedBookIds, offeredBookIds, requestedBookId, offeredBookId, message = '' } = req.body;
+    const requestedIds = collectBookIds(requestedBookIds, requestedBookId);
+    const offeredIds = collectBookIds(offeredBookIds, offeredBookId);
+
+    if (requestedIds.length === 0 && offeredIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A counter-offer must name a requested or offered book'
       });
     }
 
-    await swap.cancel();
+    const swap = await Swap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap not found'
+      });
+    }
+
+    if (!swap.canModify(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to counter this swap'
+      });
+    }
+
+    // Requested books must come from the owner's library, offered ones from the requester's
+    const checks = [
+      { ids: requestedIds, ownerId: swap.owner, label: 'requested', library: "the owner's" },
+      { ids: offeredIds, ownerId: swap.requester, label: 'offered', library: "the requester's" }
+    ].filter(check => check.ids.length > 0);
+
+    if (await Swap.hasCommittedBooks(checks.flatMap(check => check.ids))) {
+      return res.status(409).json({
+        success: false,
+        message: 'One or more of these books are already committed to another swap'
+      });
+    }
+
+    for (const check of checks) {
+      const books = await Book.find({ _id: { $in: check.ids } });
+
+      if (books.length !== check.ids.length || books.some(book => !book.isActive || !book.isAvailable)) {
+        return res.status(400).json({
+          success: false,
+          message: `One or more ${check.label} books are not available`
+        });
+      }
+
+      if (books.some(book => book.listingType === 'giveaway')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Giveaway books cannot be part of a swap'
+        });
+      }
+
+      if (books.some(book => !book.owner || !book.canEdit(check.ownerId))) {
+        return res.status(400).json({
+          success: false,
+          message: `All ${check.label} books must come from ${check.library} library`
+        });
+      }
+    }
+
+    await swap.counter(req.user._id, {
+      requestedBooks: requestedIds,
+      offeredBooks: offeredIds,
+      message
+    });
+    await notifyCounterparty(swap, req.user._id, 'swap.countered');
     await swap.populate([
-      { path: 'requester', select: 'username firstName lastName avatar rating' },
-      { path: 'owner', select: 'username firstName lastName avatar rating' },
-      { path: 'requestedBook', select: 'title author coverImage condition' },
-      { path: 'offeredBook', select: 'title author coverImage condition' }
+      ...swapPopulate,
+      { path: 'offers.by', select: 'username firstName lastName avatar' }
     ]);
 
+    res.json({
+      success: true,
+      message: 'Counter-offer sent',
+      data: { swap: swap.toJSONFor(req.user.id) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Counter swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending counter-offer'
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/decline
+// @desc    Decline a swap request
+// @access  Private
+router.put('/:id/decline', [
+  auth,
+  body('responseMessage')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Response message must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap not found'
+      });
+    }
+
+    // Only the party who received the latest offer can decline it
+    if (!swap.canRespond(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the party who received the latest offer can decline it'
+      });
+    }
+
+    const { responseMessage } = req.body;
+    await swap.decline(responseMessage, req.user._id);
+    await notifyCounterparty(swap, req.user._id, 'swap.declined');
+    await swap.populate(swapPopulate);
+
+    res.json({
+      success: true,
+      message: 'Swap request declined',
+      data: { swap: swap.toJSONFor(req.user.id) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Decline swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while declining swap'
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/complete
+// @desc    Confirm the hand-over; the swap completes once both parties confirm
+// @access  Private
+router.put('/:id/complete', auth, async (req, res) => {
+  try {
+    const swap = await Swap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap not found'
+      });
+    }
+
+    // Check if user is involved in this swap
+    if (!swap.canModify(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to complete this swap'
+      });
+    }
+
+    await swap.confirmCompletion(req.user._id);
+    const completed = swap.status === 'completed';
+    await notifyCounterparty(swap, req.user._id, completed ? 'swap.completed' : 'swap.completion_confirmed', {
+      autoCompleteAt: swap.autoCompleteAt
+    });
+    await swap.populate(swapPopulate);
+
+    res.json({
+      success: true,
+      message: completed
+        ? 'Swap marked as completed'
+        : 'Completion confirmed; waiting for the other party to confirm',
+      data: { swap: swap.toJSONFor(req.user.id) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Complete swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing swap'
+    });
+  }
+});
+
+// Shared handler for the postal shipping actions below
+const shippingAction = ({ run, event, successMessage, logLabel, errorMessage }) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap not found'
+      });
+    }
+
+    // Check if user is involved in this swap
+    if (!swap.canModify(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this swap'
+      });
+    }
+
+    await run(swap, req);
+    if (event) {
+      await notifyCounterparty(swap, req.user._id, swap.status === 'completed' ? 'swap.completed' : event);
+    }
+    await swap.populate(swapPopulate);
+
+    res.json({
+      success: true,
+      message: typeof successMessage === 'function' ? successMessage(swap) : successMessage,
+      data: { swap: swap.toJSONFor(req.user.id) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(`${logLabel} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: errorMessage
+    });
+  }
+};
+
+// @route   PUT /api/swaps/:id/shipping/address
+// @desc    Set your shipping address for a postal swap (shown to the other party once accepted)
+// @access  Private
+router.put('/:id/shipping/address', [
+  auth,
+  ...addressValidators('address')
+], shippingAction({
+  run: (swap, req) => swap.setShippingAddress(req.user._id, pickAddress(req.body.address)),
+  successMessage: 'Shipping address saved',
+  logLabel: 'Set shipping address',
+  errorMessage: 'Server error while saving shipping address'
+}));
+
+// @route   PUT /api/swaps/:id/shipping/shipped
+// @desc    Mark your books as shipped, with carrier and tracking number
+// @access  Private
+router.put('/:id/shipping/shipped', [
+  auth,
+  body('carrier')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Carrier is required and must be less than 50 characters'),
+  body('trackingNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tracking number must be less than 100 characters')
+], shippingAction({
+  run: (swap, req) => swap.markShipped(req.user._id, {
+    carrier: req.body.carrier,
+    trackingNumber: req.body.trackingNumber
+  }),
+  event: 'swap.shipped',
+  successMessage: 'Marked as shipped',
+  logLabel: 'Mark swap shipped',
+  errorMessage: 'Server error while updating shipping status'
+}));
+
+// @route   PUT /api/swaps/:id/shipping/received
+// @desc    Confirm you received the other party's books; the swap completes once both sides have
+// @access  Private
+router.put('/:id/shipping/received', auth, shippingAction({
+  run: (swap, req) => swap.markReceived(req.user._id),
+  event: 'swap.received',
+  successMessage: swap => (swap.status === 'completed'
+    ? 'Swap marked as completed'
+    : 'Receipt confirmed; waiting for the other party to confirm theirs'),
+  logLabel: 'Mark swap received',
+  errorMessage: 'Server error while updating shipping status'
+}));
+
+// @route   PUT /api/swaps/:id/dispute
+// @desc    Open a dispute on an accepted or completed swap (freezes the swap until an admin resolves it)
+// @access  Private
+router.put('/:id/dispute', [
+  auth,
+  body('reason')
+    .isIn(Swap.DISPUTE_REASONS)
+    .withMessage(`Reason must be one of: ${Swap.DISPUTE_REASONS.join(', ')}`),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('evidence')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Evidence must be an array of at most 5 image URLs'),
+  body('evidence.*')
+    .isURL()
+    .withMessage('Evidence must be valid image URLs')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap not found'
+      });
+    }
+
+    // Check if user is involved in this swap
+    if (!swap.canModify(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to dispute this swap'
+      });
+    }
+
+    const { reason, description, evidence } = req.body;
+    await swap.openDispute(req.user._id, { reason, description, evidence });
+    await notifyCounterparty(swap, req.user._id, 'swap.disputed', { reason });
+    await swap.populate(swapPopulate);
+
+    res.json({
+      success: true,
+      message: 'Dispute opened; an administrator will review it',
+      data: { swap: swap.toJSONFor(req.user.id) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Dispute swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening dispute'
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/cancel
+// @desc    Cancel a swap request
+// @access  Private
+router.put('/:id/cancel', auth, async (req, res) => {
+  try {
+    const swap = await Swap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap not found'
+      });
+    }
+
+    // Check if user is the requester (can cancel)
+    if (!swap.isRequester(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester can cancel swap requests'
+      });
+    }
+
+    // Only accepted swaps have a meeting in anyone's calendar
+    const hadMeeting = swap.status === 'accepted';
+
+    await swap.cancel(req.user._id);
+    await notifyCounterparty(swap, req.user._id, 'swap.cancelled');
+    await waitlistService.notifyOffers(swap.$locals.waitlistOffers);
+    if (hadMeeting) {
+      await calendarService.sendMeetingEmails(swap._id, 'cancelled');
+    }
+    await swap.populate(swapPopulate);
+
     res.json({
       success: true,
       message: 'Swap request cancelled',
-      data: { swap }
+      data: { swap: swap.toJSONFor(req.user.id) }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Cancel swap error:', error);
     res.status(500).json({
       success: false,
@@ -496,7 +1341,7 @@ router.put('/:id/cancel', auth, async (req, res) => {
 });
 
 // @route   GET /api/swaps/pending/received
-// @desc    Get pending swaps received by user
+// @desc    Get pending swaps and counter-offers awaiting the user's response
 // @access  Private
 router.get('/pending/received', auth, async (req, res) => {
   try {
@@ -504,7 +1349,7 @@ router.get('/pending/received', auth, async (req, res) => {
 
     res.json({
       success: true,
-      data: { swaps }
+      data: { swaps: swaps.map(swap => swap.toJSONFor(req.user.id)) }
     });
   } catch (error) {
     console.error('Get pending swaps error:', error);
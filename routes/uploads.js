@@ -0,0 +1,218 @@
+const express = require('express');
+const multer = require('multer');
+const Book = require('../models/Book');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const imageService = require('../services/imageService');
+
+const router = express.Router();
+
+// Most additional photos a book can carry
+const MAX_BOOK_IMAGES = 8;
+
+// Uploads are held in memory: every file is re-encoded before it is stored anywhere
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: imageService.MAX_UPLOAD_BYTES,
+    files: MAX_BOOK_IMAGES
+  }
+});
+
+// Run a multer middleware, answering its errors (too large, too many files...) as JSON
+const handleUpload = middleware => (req, res, next) => middleware(req, res, (error) => {
+  if (!error) return next();
+  if (error instanceof multer.MulterError) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Images must be smaller than ${Math.round(imageService.MAX_UPLOAD_BYTES / (1024 * 1024))} MB`
+        : error.message
+    });
+  }
+  next(error);
+});
+
+// Load a book and make sure the current user owns it
+const loadOwnBook = async (req, res) => {
+  const book = await Book.findById(req.params.id);
+
+  if (!book || !book.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Book not found'
+    });
+    return null;
+  }
+
+  if (!book.owner || !book.canEdit(req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to edit this book'
+    });
+    return null;
+  }
+
+  return book;
+};
+
+// Send the status error of an image action, or a generic 500
+const handleImageError = (res, error, logLabel, errorMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${logLabel} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: errorMessage
+  });
+};
+
+// @route   PUT /api/uploads/books/:id/cover
+// @desc    Upload a book's cover image (multipart field "image"), replacing the old one
+// @access  Private
+router.put('/books/:id/cover', auth, handleUpload(upload.single('image')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An image file is required'
+      });
+    }
+
+    const book = await loadOwnBook(req, res);
+    if (!book) return;
+
+    const previousCover = book.coverImage;
+    const { url, variants } = await imageService.storeImage(req.file.buffer, { folder: `books/${book._id}` });
+
+    book.coverImage = url;
+    book.coverVariants = variants;
+    await book.save();
+    await imageService.removeImage(previousCover, { folder: `books/${book._id}` });
+
+    res.json({
+      success: true,
+      message: 'Cover image uploaded',
+      data: { book }
+    });
+  } catch (error) {
+    handleImageError(res, error, 'Upload cover', 'Server error while uploading cover image');
+  }
+});
+
+// @route   POST /api/uploads/books/:id/images
+// @desc    Add photos to a book (multipart field "images", several files allowed)
+// @access  Private
+router.post('/books/:id/images', auth, handleUpload(upload.array('images', MAX_BOOK_IMAGES)), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one image file is required'
+      });
+    }
+
+    const book = await loadOwnBook(req, res);
+    if (!book) return;
+
+    if (book.images.length + req.files.length > MAX_BOOK_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `A book can have at most ${MAX_BOOK_IMAGES} photos`
+      });
+    }
+
+    // Older books may have linked images without variants; keep the arrays aligned
+    while (book.imageVariants.length < book.images.length) {
+      book.imageVariants.push({});
+    }
+
+    for (const file of req.files) {
+      const { url, variants } = await imageService.storeImage(file.buffer, { folder: `books/${book._id}` });
+      book.images.push(url);
+      book.imageVariants.push(variants);
+    }
+    await book.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Photos uploaded',
+      data: { book }
+    });
+  } catch (error) {
+    handleImageError(res, error, 'Upload book images', 'Server error while uploading photos');
+  }
+});
+
+// @route   DELETE /api/uploads/books/:id/images/:index
+// @desc    Remove one of a book's photos
+// @access  Private
+router.delete('/books/:id/images/:index', auth, async (req, res) => {
+  try {
+    const book = await loadOwnBook(req, res);
+    if (!book) return;
+
+    const index = parseInt(req.params.index, 10);
+    if (Number.isNaN(index) || index < 0 || index >= book.images.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    const [removed] = book.images.splice(index, 1);
+    if (index < book.imageVariants.length) {
+      book.imageVariants.splice(index, 1);
+    }
+    await book.save();
+    await imageService.removeImage(removed, { folder: `books/${book._id}` });
+
+    res.json({
+      success: true,
+      message: 'Photo removed',
+      data: { book }
+    });
+  } catch (error) {
+    handleImageError(res, error, 'Remove book image', 'Server error while removing photo');
+  }
+});
+
+// @route   PUT /api/uploads/users/me/avatar
+// @desc    Upload the current user's avatar (multipart field "image")
+// @access  Private
+router.put('/users/me/avatar', auth, handleUpload(upload.single('image')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An image file is required'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousAvatar = user.avatar;
+    const { url, variants } = await imageService.storeImage(req.file.buffer, {
+      folder: `avatars/${user._id}`,
+      preset: 'avatar'
+    });
+
+    user.avatar = url;
+    user.avatarVariants = variants;
+    await user.save();
+    await imageService.removeImage(previousAvatar, { folder: `avatars/${user._id}`, preset: 'avatar' });
+
+    res.json({
+      success: true,
+      message: 'Avatar uploaded',
+      data: { user }
+    });
+  } catch (error) {
+    handleImageError(res, error, 'Upload avatar', 'Server error while uploading avatar');
+  }
+});
+
+module.exports = router;
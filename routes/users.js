@@ -1,7 +1,13 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
+const Book = require('../models/Book');
 const Review = require('../models/Review');
+const emailService = require('../services/emailService');
+const wantListService = require('../services/wantListService');
+const { isValidIsbn, toIsbn13 } = require('../utils/isbn');
+const { toPoint, fuzzPoint } = require('../utils/geo');
+const { geocode } = require('../services/geocoding');
 const { authenticateToken, requireAdmin, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
@@ -63,7 +69,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
 router.get('/profile/:id', async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('username firstName lastName avatar bio location favoriteGenres rating totalRatings totalSwaps createdAt');
+      .select('username firstName lastName avatar bio location favoriteGenres rating totalRatings totalSwaps giveawaysGiven giveawaysReceived createdAt');
     
     if (!user || !user.isActive) {
       return res.status(404).json({
@@ -116,6 +122,17 @@ router.put('/profile', [
     .trim()
     .isLength({ max: 100 })
     .withMessage('Location must be less than 100 characters'),
+  // Exact coordinates (e.g. from the browser); otherwise `location` is geocoded
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
   body('phone')
     .optional()
     .trim()
@@ -140,7 +157,14 @@ router.put('/profile', [
       });
     }
 
-    const { firstName, lastName, bio, location, phone, favoriteGenres, avatar } = req.body;
+    const { firstName, lastName, bio, location, latitude, longitude, phone, favoriteGenres, avatar } = req.body;
+
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Latitude and longitude must be given together'
+      });
+    }
 
     const user = await User.findById(req.user.id);
     
@@ -160,8 +184,25 @@ router.put('/profile', [
     if (favoriteGenres !== undefined) user.favoriteGenres = favoriteGenres;
     if (avatar !== undefined) user.avatar = avatar;
 
+    if (latitude !== undefined) {
+      user.geo = toPoint(latitude, longitude);
+    } else if (location !== undefined && user.isModified('location')) {
+      const place = await geocode(location);
+      user.geo = place ? toPoint(place.lat, place.lng) : undefined;
+    }
+    const moved = user.isModified('location') || user.isModified('geo');
+
     await user.save();
 
+    // The user's listings follow them, with the position fuzzed
+    if (moved) {
+      const geo = fuzzPoint(user.geo, user._id);
+      await Book.updateMany(
+        { owner: user._id },
+        geo ? { location: user.location, geo } : { location: user.location, $unset: { geo: 1 } }
+      );
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -176,6 +217,258 @@ router.put('/profile', [
   }
 });
 
+// @route   GET /api/users/me/notification-preferences
+// @desc    Get the current user's reminder preferences
+// @access  Private
+router.get('/me/notification-preferences', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: { notificationPreferences: user.notificationPreferences }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification preferences'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/notification-preferences
+// @desc    Opt in or out of meeting, expiry and review reminders and want-list alerts
+// @access  Private
+router.put('/me/notification-preferences', [
+  authenticateToken,
+  body('meetingReminders').optional().isBoolean().withMessage('meetingReminders must be boolean').toBoolean(),
+  body('expiryReminders').optional().isBoolean().withMessage('expiryReminders must be boolean').toBoolean(),
+  body('reviewReminders').optional().isBoolean().withMessage('reviewReminders must be boolean').toBoolean(),
+  body('wantListMatches').optional().isBoolean().withMessage('wantListMatches must be boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    ['meetingReminders', 'expiryReminders', 'reviewReminders', 'wantListMatches'].forEach((key) => {
+      if (req.body[key] !== undefined) {
+        user.notificationPreferences[key] = req.body[key];
+      }
+    });
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { notificationPreferences: user.notificationPreferences }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification preferences'
+    });
+  }
+});
+
+// Subscription URL for a user's calendar feed
+const calendarFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/swaps/calendar/${token}.ics`;
+
+// @route   GET /api/users/me/calendar-feed
+// @desc    Get the URL of the user's swap meeting calendar feed (created on first use)
+// @access  Private
+router.get('/me/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.calendarFeedToken) {
+      user.calendarFeedToken = emailService.generateVerificationToken();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      data: { url: calendarFeedUrl(req, user.calendarFeedToken) }
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching calendar feed'
+    });
+  }
+});
+
+// @route   POST /api/users/me/calendar-feed/reset
+// @desc    Replace the calendar feed URL, revoking the old one
+// @access  Private
+router.post('/me/calendar-feed/reset', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.calendarFeedToken = emailService.generateVerificationToken();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL reset',
+      data: { url: calendarFeedUrl(req, user.calendarFeedToken) }
+    });
+  } catch (error) {
+    console.error('Reset calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting calendar feed'
+    });
+  }
+});
+
+// @route   GET /api/users/me/want-list
+// @desc    Get the current user's want-list
+// @access  Private
+router.get('/me/want-list', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('wantList');
+
+    res.json({
+      success: true,
+      data: { wantList: user ? user.wantList : [] }
+    });
+  } catch (error) {
+    console.error('Get want-list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching want-list'
+    });
+  }
+});
+
+// @route   POST /api/users/me/want-list
+// @desc    Add a title, author or ISBN to the current user's want-list, optionally
+//          limited to a worst acceptable condition and a maximum distance
+// @access  Private
+router.post('/me/want-list', [
+  authenticateToken,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('author')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Author must be less than 100 characters'),
+  // Stored as ISBN-13 so it matches listed books, which are normalized the same way
+  body('isbn')
+    .optional()
+    .custom(isValidIsbn)
+    .withMessage('ISBN must be a valid ISBN-10 or ISBN-13')
+    .customSanitizer(toIsbn13),
+  body('maxCondition')
+    .optional()
+    .isIn(Book.CONDITIONS)
+    .withMessage('Invalid condition'),
+  body('maxDistanceKm')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Maximum distance must be between 1 and 1000 km')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, author, isbn, maxCondition, maxDistanceKm } = req.body;
+
+    if (!title && !isbn) {
+      return res.status(400).json({
+        success: false,
+        message: 'A want-list entry needs a title or an ISBN'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    user.wantList.push({ title, author, isbn, maxCondition, maxDistanceKm });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to want-list',
+      data: { item: user.wantList[user.wantList.length - 1] }
+    });
+  } catch (error) {
+    console.error('Add want-list item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating want-list'
+    });
+  }
+});
+
+// @route   GET /api/users/me/matches
+// @desc    Get available books that match the current user's want-list
+// @access  Private
+router.get('/me/matches', authenticateToken, async (req, res) => {
+  try {
+    const matches = await wantListService.findMatchesForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: { matches }
+    });
+  } catch (error) {
+    console.error('Get want-list matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching want-list matches'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/want-list/:itemId
+// @desc    Remove an entry from the current user's want-list
+// @access  Private
+router.delete('/me/want-list/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const item = user.wantList.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Want-list entry not found'
+      });
+    }
+
+    item.deleteOne();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Removed from want-list'
+    });
+  } catch (error) {
+    console.error('Remove want-list item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating want-list'
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private (Own profile or Admin)
@@ -1,5 +1,4 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -12,9 +11,17 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const bookRoutes = require('./routes/books');
 const swapRoutes = require('./routes/swaps');
+const cycleRoutes = require('./routes/cycles');
+const loanRoutes = require('./routes/loans');
+const giveawayRoutes = require('./routes/giveaways');
+const savedSearchRoutes = require('./routes/savedSearches');
+const uploadRoutes = require('./routes/uploads');
 const reviewRoutes = require('./routes/reviews');
 const adminRoutes = require('./routes/admin');
+const eventRoutes = require('./routes/events');
 const { errorHandler } = require('./middleware/errorHandler');
+const { LOCAL_UPLOAD_ROUTE } = require('./services/storage');
+const dbConnect = require('./utils/db');
 
 const app = express();
 
@@ -35,9 +42,9 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Body parsing middleware (images go through the multipart upload routes, not JSON)
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 app.use(cookieParser());
 
 // Session configuration
@@ -58,13 +65,32 @@ app.use(passport.session());
 // Passport configuration
 require('./config/passport');
 
+// Background job registration
+const scheduler = require('./config/jobs');
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/books', bookRoutes);  // <-- The correct endpoint
 app.use('/api/swaps', swapRoutes);
+app.use('/api/cycles', cycleRoutes);
+app.use('/api/loans', loanRoutes);
+app.use('/api/giveaways', giveawayRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/uploads', uploadRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/events', eventRoutes);
+
+// Uploaded images, when stored on local disk
+if ((process.env.STORAGE_DRIVER || 'local').toLowerCase() === 'local') {
+  app.use(LOCAL_UPLOAD_ROUTE, express.static(process.env.UPLOAD_DIR || 'uploads', {
+    maxAge: '365d',
+    immutable: true,
+    // The frontend runs on another origin
+    setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -86,14 +112,18 @@ app.use('*', (req, res) => {
   });
 });
 
-// Database connection
-mongoose.connect(process.env.DATABASE_URL)
+// Database connection (also runs the startup migrations, see utils/db.js)
+dbConnect()
   .then(() => {
     console.log('Connected to MongoDB');
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    if (process.env.SCHEDULER_DISABLED !== 'true') {
+      scheduler.start();
+    }
   })
   .catch((error) => {
     console.error('Database connection error:', error);
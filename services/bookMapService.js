@@ -0,0 +1,119 @@
+const Book = require('../models/Book');
+
+// Grid cells per 256px map tile side: at zoom z the world is 2^z tiles wide
+const CELLS_PER_TILE = 4;
+const MAX_ZOOM = 20;
+// Most grid cells (and so clusters) a single response may cover; a wide box at a fine
+// zoom gets coarser cells instead of one cluster per book
+const MAX_GRID_CELLS = 1024;
+
+// Width of a grid cell in degrees at the given zoom level
+const cellSizeFor = zoom => 360 / (2 ** zoom * CELLS_PER_TILE);
+
+// Width of the box in degrees of longitude, across the antimeridian if need be
+const bboxWidth = ({ minLng, maxLng }) => (minLng <= maxLng ? maxLng - minLng : 360 - minLng + maxLng);
+
+// Cell size for the zoom, doubled until the box spans at most MAX_GRID_CELLS cells
+const gridCellSize = (bbox, zoom) => {
+  let cellSize = cellSizeFor(zoom);
+  const cellsAcross = size => (Math.floor(bboxWidth(bbox) / size) + 1) *
+    (Math.floor((bbox.maxLat - bbox.minLat) / size) + 1);
+  while (cellsAcross(cellSize) > MAX_GRID_CELLS) cellSize *= 2;
+  return cellSize;
+};
+
+// Match books positioned inside the box. Plain coordinate ranges rather than $geoWithin:
+// a map viewport is a flat rectangle, which geodesic GeoJSON polygons do not describe.
+const bboxMatch = ({ minLng, minLat, maxLng, maxLat }) => {
+  const lng = 'geo.coordinates.0';
+  const lat = 'geo.coordinates.1';
+  const match = { [lat]: { $gte: minLat, $lte: maxLat } };
+
+  if (minLng <= maxLng) {
+    match[lng] = { $gte: minLng, $lte: maxLng };
+  } else {
+    // Box crossing the antimeridian
+    match.$and = [{ $or: [{ [lng]: { $gte: minLng } }, { [lng]: { $lte: maxLng } }] }];
+  }
+  return match;
+};
+
+// Merge [{ genre, condition, count }] into per-genre and per-condition counts
+const breakdown = (combos) => {
+  const genres = {};
+  const conditions = {};
+  for (const { genre, condition, count } of combos) {
+    genres[genre] = (genres[genre] || 0) + count;
+    conditions[condition] = (conditions[condition] || 0) + count;
+  }
+  return { genres, conditions };
+};
+
+// Count the books matching `filters` inside `bbox`, grouped into grid cells sized for `zoom`.
+// Each cluster has its centroid, its cell bounds, its count and genre/condition breakdowns;
+// a cluster of a single book also carries its bookId so the map can show a pin.
+const clusterBooks = async ({ bbox, zoom, filters = {} }) => {
+  const cellSize = gridCellSize(bbox, zoom);
+  const lng = { $arrayElemAt: ['$geo.coordinates', 0] };
+  const lat = { $arrayElemAt: ['$geo.coordinates', 1] };
+
+  const cells = await Book.aggregate([
+    { $match: { ...filters, geo: { $exists: true }, ...bboxMatch(bbox) } },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: [{ $add: [lng, 180] }, cellSize] } },
+          y: { $floor: { $divide: [{ $add: [lat, 90] }, cellSize] } },
+          genre: '$genre',
+          condition: '$condition'
+        },
+        count: { $sum: 1 },
+        lngSum: { $sum: lng },
+        latSum: { $sum: lat },
+        bookId: { $first: '$_id' }
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$_id.x', y: '$_id.y' },
+        count: { $sum: '$count' },
+        lngSum: { $sum: '$lngSum' },
+        latSum: { $sum: '$latSum' },
+        bookId: { $first: '$bookId' },
+        combos: { $push: { genre: '$_id.genre', condition: '$_id.condition', count: '$count' } }
+      }
+    },
+    { $sort: { count: -1 } },
+    // Already bounded by gridCellSize(); kept as a hard cap on the response size
+    { $limit: MAX_GRID_CELLS }
+  ]);
+
+  const round = value => Number(value.toFixed(5));
+  const clusters = cells.map(({ _id, count, lngSum, latSum, bookId, combos }) => ({
+    lat: round(latSum / count),
+    lng: round(lngSum / count),
+    count,
+    bounds: [
+      round(_id.x * cellSize - 180),
+      round(_id.y * cellSize - 90),
+      round((_id.x + 1) * cellSize - 180),
+      round((_id.y + 1) * cellSize - 90)
+    ],
+    ...breakdown(combos),
+    ...(count === 1 && { bookId })
+  }));
+
+  return {
+    cellSize,
+    total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+    clusters
+  };
+};
+
+module.exports = {
+  MAX_ZOOM,
+  MAX_GRID_CELLS,
+  cellSizeFor,
+  gridCellSize,
+  clusterBooks
+};
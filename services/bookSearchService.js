@@ -0,0 +1,94 @@
+const Book = require('../models/Book');
+const { buildBookFilter } = require('../utils/bookFilters');
+const { EARTH_RADIUS_KM } = require('../utils/geo');
+
+const SORT_OPTIONS = ['relevance', 'newest', 'distance', 'condition'];
+// Radius used by `near` searches when none is given
+const DEFAULT_RADIUS_KM = 25;
+
+const OWNER_FIELDS = 'username firstName lastName location rating';
+
+// Sort to use when none is asked for: the best text matches, else the nearest, else the newest
+const defaultSort = ({ search, near }) => {
+  if (search) return 'relevance';
+  if (near) return 'distance';
+  return 'newest';
+};
+
+// Aggregation expression for the great-circle distance in km from { lat, lng } to a book's `geo`.
+// $geoNear would compute it, but it cannot be combined with a $text search.
+const distanceExpression = ({ lat, lng }) => {
+  const rad = degrees => degrees * Math.PI / 180;
+  const bookLat = { $degreesToRadians: { $arrayElemAt: ['$geo.coordinates', 1] } };
+  const bookLng = { $degreesToRadians: { $arrayElemAt: ['$geo.coordinates', 0] } };
+  const halfSinSquared = difference => ({ $pow: [{ $sin: { $divide: [difference, 2] } }, 2] });
+
+  const a = {
+    $add: [
+      halfSinSquared({ $subtract: [bookLat, rad(lat)] }),
+      { $multiply: [Math.cos(rad(lat)), { $cos: bookLat }, halfSinSquared({ $subtract: [bookLng, rad(lng)] })] }
+    ]
+  };
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [1, a] } } }] };
+};
+
+const SORT_STAGES = {
+  relevance: { score: -1, createdAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  distance: { distanceKm: 1, createdAt: -1, _id: -1 },
+  condition: { conditionRank: 1, createdAt: -1, _id: -1 }
+};
+
+// Search available books with the shared filters (see utils/bookFilters).
+// `search` is a full-text query: words, "quoted phrases" and -excluded words.
+// With `near` ({ lat, lng }), only books within `radiusKm` are returned, each with its distanceKm.
+// Resolves to { books, total } with one page of books as plain objects.
+const searchBooks = async (source, { near, radiusKm = DEFAULT_RADIUS_KM, sort, page = 1, limit = 12 } = {}) => {
+  const filters = buildBookFilter(source);
+  if (near) {
+    filters.geo = { $geoWithin: { $centerSphere: [[near.lng, near.lat], radiusKm / EARTH_RADIUS_KM] } };
+  }
+
+  let order = sort || defaultSort({ search: filters.$text, near });
+  // Nothing to rank without a text query
+  if (order === 'relevance' && !filters.$text) order = 'newest';
+
+  const computed = {};
+  if (filters.$text) computed.score = { $meta: 'textScore' };
+  if (near) computed.distanceKm = distanceExpression(near);
+  if (order === 'condition') computed.conditionRank = { $indexOfArray: [Book.CONDITIONS, '$condition'] };
+
+  const [result] = await Book.aggregate([
+    { $match: filters },
+    ...(Object.keys(computed).length > 0 ? [{ $addFields: computed }] : []),
+    {
+      $facet: {
+        books: [
+          { $sort: SORT_STAGES[order] },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const docs = result.books.map(({ score, conditionRank, distanceKm, ...fields }) => ({
+    doc: Book.hydrate(fields),
+    distanceKm
+  }));
+  await Book.populate(docs.map(({ doc }) => doc), { path: 'owner', select: OWNER_FIELDS });
+
+  return {
+    books: docs.map(({ doc, distanceKm }) => (distanceKm === undefined
+      ? doc.toJSON()
+      : { ...doc.toJSON(), distanceKm: Math.round(distanceKm * 10) / 10 })),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  DEFAULT_RADIUS_KM,
+  searchBooks
+};
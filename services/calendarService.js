@@ -0,0 +1,59 @@
+const Swap = require('../models/Swap');
+const emailService = require('./emailService');
+const { buildCalendar } = require('../utils/calendar');
+
+// Keep past meetings in the feed for a day so they don't vanish mid-meeting
+const FEED_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Fields the calendar builder needs
+const calendarPopulate = [
+  { path: 'requester', select: 'username firstName lastName email' },
+  { path: 'owner', select: 'username firstName lastName email' },
+  { path: 'requestedBooks', select: 'title author' },
+  { path: 'offeredBooks', select: 'title author' }
+];
+
+// Build the .ics download for a single swap
+const swapCalendar = async (swap) => {
+  await swap.populate(calendarPopulate);
+  return buildCalendar([swap]);
+};
+
+// Build a user's feed of upcoming accepted swap meetings
+const userFeed = async (userId) => {
+  const swaps = await Swap.find({
+    $or: [{ requester: userId }, { owner: userId }],
+    status: 'accepted',
+    isActive: true,
+    meetingDate: { $gte: new Date(Date.now() - FEED_LOOKBACK_MS) }
+  })
+    .populate(calendarPopulate)
+    .sort({ meetingDate: 1 });
+
+  return buildCalendar(swaps, { name: 'BookSwap meetings' });
+};
+
+// Email both parties an invite ('accepted'), update ('rescheduled') or
+// cancellation ('cancelled') for the swap meeting. Swaps without a meeting
+// date are skipped. Failures are logged, not thrown, so they never undo the
+// swap action that triggered them.
+const sendMeetingEmails = async (swapId, kind) => {
+  try {
+    const swap = await Swap.findById(swapId).populate(calendarPopulate);
+    if (!swap || !swap.meetingDate) return;
+
+    const calendar = buildCalendar([swap], { method: kind === 'cancelled' ? 'CANCEL' : 'REQUEST' });
+    const recipients = [swap.requester, swap.owner].filter(user => user && user.email);
+    for (const user of recipients) {
+      await emailService.sendSwapMeetingEmail(user, swap, calendar, kind);
+    }
+  } catch (error) {
+    console.error(`Failed to send swap meeting (${kind}) emails:`, error);
+  }
+};
+
+module.exports = {
+  swapCalendar,
+  userFeed,
+  sendMeetingEmails
+};
@@ -1,6 +1,15 @@
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 
+// Escape text for an HTML email body. Every value another user could have typed
+// (names, book titles, places, search names) goes through this.
+const escapeHtml = value => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -35,7 +44,7 @@ class EmailService {
           </div>
           
           <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
-            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${user.firstName}!</h2>
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
             <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
               Thank you for signing up for BookSwap. To complete your registration and start using your account, 
               please verify your email address by clicking the button below.
@@ -89,7 +98,7 @@ class EmailService {
           </div>
           
           <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
-            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${user.firstName}!</h2>
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
             <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
               We received a request to reset your password. Click the button below to create a new password.
             </p>
@@ -140,7 +149,7 @@ class EmailService {
           </div>
           
           <div style="background: #f0f9ff; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
-            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Welcome ${user.firstName}!</h2>
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Welcome ${escapeHtml(user.firstName)}!</h2>
             <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
               Your email has been successfully verified! You can now access all features of BookSwap.
             </p>
@@ -171,6 +180,542 @@ class EmailService {
       return false;
     }
   }
+
+  // Join populated book titles (HTML-escaped) for use in swap emails
+  formatBookTitles(books = []) {
+    const titles = books.filter(book => book && book.title).map(book => escapeHtml(book.title));
+    return titles.length > 0 ? titles.join(', ') : 'a book';
+  }
+
+  // Send notice that a pending swap request expired without a response
+  async sendSwapExpiredEmail(user, swap) {
+    const swapsUrl = `${process.env.FRONTEND_URL}/swaps/${swap._id}`;
+    const requestedTitle = this.formatBookTitles(swap.requestedBooks);
+    const offeredTitle = this.formatBookTitles(swap.offeredBooks);
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: 'Swap Request Expired - BookSwap',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Swap Request Expired</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              The swap request for <strong>${requestedTitle}</strong> in exchange for
+              <strong>${offeredTitle}</strong> expired before it was answered. The books involved
+              are free to be swapped again.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${swapsUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                View Swap
+              </a>
+            </div>
+          </div>
+          
+          <div style="text-align: center; color: #6b7280; font-size: 12px;">
+            <p>Swap requests expire automatically after 7 days without a response.</p>
+          </div>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Swap expired email sent to:', user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending swap expired email:', error);
+      return false;
+    }
+  }
+
+  // Send the outcome of a swap dispute to one of its parties
+  async sendDisputeResolvedEmail(user, swap) {
+    const swapsUrl = `${process.env.FRONTEND_URL}/swaps/${swap._id}`;
+    const requestedTitle = this.formatBookTitles(swap.requestedBooks);
+    const offeredTitle = this.formatBookTitles(swap.offeredBooks);
+    const { outcome, penalizedUser, penaltyPoints, note } = swap.dispute.resolution;
+    const outcomeText = {
+      complete: 'The swap stands as completed.',
+      revert: 'The swap has been reverted and the books returned to their original owners.',
+      penalize: 'The swap has been reverted and the books returned to their original owners.'
+    }[outcome];
+    const penalized = penalizedUser && penalizedUser.toString() === user._id.toString();
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: 'Swap Dispute Resolved - BookSwap',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Swap Dispute Resolved</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              The dispute over the swap of <strong>${requestedTitle}</strong> for
+              <strong>${offeredTitle}</strong> has been resolved. ${outcomeText}
+            </p>
+            ${penalized ? `<p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              ${penaltyPoints} penalty point${penaltyPoints === 1 ? ' has' : 's have'} been added to your account.
+            </p>` : ''}
+            ${note ? `<p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              <strong>Note from our team:</strong> ${escapeHtml(note)}
+            </p>` : ''}
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${swapsUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                View Swap
+              </a>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Dispute resolved email sent to:', user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending dispute resolved email:', error);
+      return false;
+    }
+  }
+
+  // Send a swap meeting invite, update or cancellation with the .ics attached
+  async sendSwapMeetingEmail(user, swap, calendar, kind = 'accepted') {
+    const swapsUrl = `${process.env.FRONTEND_URL}/swaps/${swap._id}`;
+    const requestedTitle = this.formatBookTitles(swap.requestedBooks);
+    const copy = {
+      accepted: {
+        subject: 'Swap Accepted - BookSwap',
+        heading: 'Swap Accepted',
+        text: 'has been accepted. The meeting is attached as a calendar invite.'
+      },
+      rescheduled: {
+        subject: 'Swap Meeting Rescheduled - BookSwap',
+        heading: 'Meeting Rescheduled',
+        text: 'has a new meeting time or place. The attached invite updates your calendar.'
+      },
+      cancelled: {
+        subject: 'Swap Meeting Cancelled - BookSwap',
+        heading: 'Meeting Cancelled',
+        text: 'was cancelled. The attached notice removes the meeting from your calendar.'
+      }
+    }[kind];
+    const meetingDate = swap.meetingDate ? new Date(swap.meetingDate).toUTCString() : 'To be arranged';
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: copy.subject,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">${copy.heading}</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              The swap for <strong>${requestedTitle}</strong> ${copy.text}
+            </p>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              <strong>When:</strong> ${meetingDate}<br>
+              <strong>Where:</strong> ${escapeHtml(swap.meetingLocation || 'To be arranged')}
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${swapsUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                View Swap
+              </a>
+            </div>
+          </div>
+        </div>
+      `,
+      icalEvent: {
+        filename: 'swap-meeting.ics',
+        method: kind === 'cancelled' ? 'CANCEL' : 'REQUEST',
+        content: calendar
+      }
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Swap meeting (${kind}) email sent to:`, user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending swap meeting email:', error);
+      return false;
+    }
+  }
+
+  // Footer for reminder emails, pointing at the opt-out settings
+  reminderFooter() {
+    return `
+          <div style="text-align: center; color: #6b7280; font-size: 12px;">
+            <p>You can turn these emails off in your
+              <a href="${process.env.FRONTEND_URL}/settings/notifications" style="color: #6b7280;">notification settings</a>.
+            </p>
+          </div>`;
+  }
+
+  // Send a reminder ahead of an accepted swap's meeting
+  async sendMeetingReminderEmail(user, swap, hoursBefore) {
+    const swapsUrl = `${process.env.FRONTEND_URL}/swaps/${swap._id}`;
+    const requestedTitle = this.formatBookTitles(swap.requestedBooks);
+    const offeredTitle = this.formatBookTitles(swap.offeredBooks);
+    const when = hoursBefore >= 24 ? 'tomorrow' : 'in about an hour';
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: `Swap Meeting ${hoursBefore >= 24 ? 'Tomorrow' : 'Soon'} - BookSwap`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Meeting Reminder</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              Your meeting to swap <strong>${requestedTitle}</strong> for
+              <strong>${offeredTitle}</strong> is ${when}.
+            </p>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              <strong>When:</strong> ${new Date(swap.meetingDate).toUTCString()}<br>
+              <strong>Where:</strong> ${escapeHtml(swap.meetingLocation || 'To be arranged')}
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${swapsUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                View Swap
+              </a>
+            </div>
+          </div>
+          ${this.reminderFooter()}
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Meeting reminder email sent to:', user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending meeting reminder email:', error);
+      return false;
+    }
+  }
+
+  // Nudge the party who has to answer a swap request before it expires
+  async sendExpiryReminderEmail(user, swap) {
+    const swapsUrl = `${process.env.FRONTEND_URL}/swaps/${swap._id}`;
+    const requestedTitle = this.formatBookTitles(swap.requestedBooks);
+    const offeredTitle = this.formatBookTitles(swap.offeredBooks);
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: 'Swap Request Expiring Soon - BookSwap',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Swap Request Expiring Soon</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              A swap request for <strong>${requestedTitle}</strong> in exchange for
+              <strong>${offeredTitle}</strong> is waiting for your answer. It expires on
+              ${new Date(swap.expiresAt).toUTCString()}.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${swapsUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                Respond Now
+              </a>
+            </div>
+          </div>
+          ${this.reminderFooter()}
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Swap expiry reminder email sent to:', user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending swap expiry reminder email:', error);
+      return false;
+    }
+  }
+
+  // Ask a party to review the other after a completed swap
+  async sendReviewReminderEmail(user, swap, otherParty) {
+    const reviewUrl = `${process.env.FRONTEND_URL}/swaps/${swap._id}/review`;
+    const otherName = escapeHtml(otherParty ? otherParty.firstName || otherParty.username : 'your swap partner');
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: 'How Did Your Swap Go? - BookSwap',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Leave a Review</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              Your swap with <strong>${otherName}</strong> is complete. A quick review helps
+              other members know who they are swapping with.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${reviewUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                Write a Review
+              </a>
+            </div>
+          </div>
+          ${this.reminderFooter()}
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Review reminder email sent to:', user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending review reminder email:', error);
+      return false;
+    }
+  }
+
+  // Remind a borrower that a loaned book is overdue
+  async sendLoanOverdueEmail(user, loan) {
+    const loanUrl = `${process.env.FRONTEND_URL}/loans/${loan._id}`;
+    const title = escapeHtml(loan.book && loan.book.title ? loan.book.title : 'a book');
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: 'Borrowed Book Overdue - BookSwap',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Loan Overdue</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              <strong>${title}</strong> was due back on ${new Date(loan.dueDate).toUTCString()}.
+              Please arrange to return it to its owner as soon as you can.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${loanUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                View Loan
+              </a>
+            </div>
+          </div>
+          
+          <div style="text-align: center; color: #6b7280; font-size: 12px;">
+            <p>Returning books on time keeps your borrower reliability score high.</p>
+          </div>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Loan overdue email sent to:', user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending loan overdue email:', error);
+      return false;
+    }
+  }
+
+  // Tell the first waitlisted user that a book is free and reserved for them for a while
+  async sendWaitlistAvailableEmail(user, book, priorityUntil) {
+    const bookUrl = `${process.env.FRONTEND_URL}/books/${book._id}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: 'A Book You Are Waiting For Is Available - BookSwap',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Waitlist</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              <strong>${escapeHtml(book.title)}</strong> is available again and you are first in line.
+              Only you can request it until ${new Date(priorityUntil).toUTCString()}.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${bookUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                View Book
+              </a>
+            </div>
+          </div>
+          
+          <div style="text-align: center; color: #6b7280; font-size: 12px;">
+            <p>If you don't request it in time, the next person on the waitlist gets their turn.</p>
+          </div>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Waitlist email sent to:', user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending waitlist email:', error);
+      return false;
+    }
+  }
+
+  // Tell a user that a book on their want-list has been listed
+  async sendWantListMatchEmail(user, book) {
+    const bookUrl = `${process.env.FRONTEND_URL}/books/${book._id}`;
+    const offer = book.listingType === 'giveaway' ? 'is being given away' : 'is now available to swap';
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: 'A Book On Your Want-List Is Available - BookSwap',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Want-List Match</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              <strong>${escapeHtml(book.title)}</strong> by ${escapeHtml(book.author)} (${escapeHtml(book.condition)}) ${offer}.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${bookUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                View Book
+              </a>
+            </div>
+          </div>
+          ${this.reminderFooter()}
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Want-list match email sent to:', user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending want-list match email:', error);
+      return false;
+    }
+  }
+
+  // Send new books matching a saved search: one book for instant alerts, several for a digest
+  async sendSavedSearchEmail(user, search, books) {
+    const searchUrl = `${process.env.FRONTEND_URL}/saved-searches/${search._id}`;
+    const items = books
+      .map(book => `<li style="margin: 0 0 8px 0;"><a href="${process.env.FRONTEND_URL}/books/${book._id}" style="color: #2563eb;">${escapeHtml(book.title)}</a> by ${escapeHtml(book.author)} (${escapeHtml(book.condition)})</li>`)
+      .join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: `New Books For "${search.name}" - BookSwap`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">BookSwap</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Saved Search</p>
+          </div>
+          
+          <div style="background: #f9fafb; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+            <h2 style="color: #1f2937; margin: 0 0 20px 0;">Hi ${escapeHtml(user.firstName)}!</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
+              New books match your saved search <strong>${escapeHtml(search.name)}</strong>:
+            </p>
+            <ul style="color: #4b5563; line-height: 1.6; padding-left: 20px;">${items}</ul>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${searchUrl}" 
+                 style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; 
+                        border-radius: 6px; display: inline-block; font-weight: 600;">
+                View All Results
+              </a>
+            </div>
+          </div>
+          
+          <div style="text-align: center; color: #6b7280; font-size: 12px;">
+            <p>You can change how often you hear about this search, or turn its alerts off, on the saved search itself.</p>
+          </div>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Saved search email sent to:', user.email);
+      return true;
+    } catch (error) {
+      console.error('Error sending saved search email:', error);
+      return false;
+    }
+  }
 }
 
 module.exports = new EmailService();
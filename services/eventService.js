@@ -0,0 +1,61 @@
+const EventEmitter = require('events');
+const Notification = require('../models/Notification');
+
+// Publishes user-facing events.
+// Every event is stored as a Notification (so long-polling clients and other
+// server instances can pick it up) and emitted in-process for open streams.
+class EventService extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open stream; don't warn on busy servers
+    this.setMaxListeners(0);
+  }
+
+  channelFor(userId) {
+    return `user:${userId.toString()}`;
+  }
+
+  // Subscribe to a user's events; returns an unsubscribe function
+  subscribe(userId, listener) {
+    const channel = this.channelFor(userId);
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  // Wait for the next event for a user, resolving with null after `timeout` ms
+  waitForNext(userId, timeout) {
+    return new Promise((resolve) => {
+      let unsubscribe = () => {};
+      const timer = setTimeout(() => {
+        unsubscribe();
+        resolve(null);
+      }, timeout);
+
+      unsubscribe = this.subscribe(userId, (notification) => {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(notification);
+      });
+    });
+  }
+
+  // Publish an event to one or more users. Failures are logged, never thrown:
+  // notifications must not break the action that triggered them.
+  async publish(userIds, type, data = {}) {
+    const recipients = [...new Set([].concat(userIds).filter(Boolean).map(id => id.toString()))];
+    if (recipients.length === 0) return [];
+
+    try {
+      const notifications = await Notification.insertMany(
+        recipients.map(user => ({ user, type, data }))
+      );
+      notifications.forEach(notification => this.emit(this.channelFor(notification.user), notification));
+      return notifications;
+    } catch (error) {
+      console.error(`Failed to publish ${type} event:`, error);
+      return [];
+    }
+  }
+}
+
+module.exports = new EventService();
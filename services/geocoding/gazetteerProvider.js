@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+const normalize = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+// Resolves place names against a local list of cities; works offline and is the
+// fallback when the configured geocoder is down or finds nothing
+class GazetteerProvider {
+  constructor({ file = path.join(__dirname, 'gazetteer.json') } = {}) {
+    this.name = 'gazetteer';
+    this.file = file;
+    this.index = null;
+  }
+
+  // Index every name and alias, alone and with the country ("paris" and "paris, france")
+  load() {
+    const places = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.index = new Map();
+    places.forEach((place) => {
+      [place.name, ...(place.aliases || [])].forEach((name) => {
+        const key = normalize(name);
+        if (!this.index.has(key)) this.index.set(key, place);
+        this.index.set(`${key}, ${normalize(place.country)}`, place);
+      });
+    });
+  }
+
+  async geocode(text) {
+    if (!this.index) this.load();
+
+    const query = normalize(text);
+    // "Paris, France" first, then just the city part of "Paris, Ile-de-France, France"
+    const place = this.index.get(query) || this.index.get(query.split(',')[0].trim());
+    return place
+      ? { lat: place.lat, lng: place.lng, label: `${place.name}, ${place.country}` }
+      : null;
+  }
+}
+
+module.exports = GazetteerProvider;
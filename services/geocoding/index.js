@@ -0,0 +1,50 @@
+const NominatimProvider = require('./nominatimProvider');
+const GazetteerProvider = require('./gazetteerProvider');
+
+// Pick the geocoder from GEOCODER: 'gazetteer' (default, offline), 'nominatim' or 'none'.
+// Every provider exposes geocode(text) -> { lat, lng, label } or null.
+const createProvider = () => {
+  const name = (process.env.GEOCODER || 'gazetteer').toLowerCase();
+
+  if (name === 'none') return null;
+  if (name === 'nominatim') {
+    return new NominatimProvider({
+      baseUrl: process.env.NOMINATIM_URL || undefined,
+      userAgent: process.env.GEOCODER_USER_AGENT || undefined
+    });
+  }
+  if (name !== 'gazetteer') {
+    throw new Error(`Unknown GEOCODER: ${name}`);
+  }
+  return gazetteer;
+};
+
+const gazetteer = new GazetteerProvider(process.env.GAZETTEER_PATH ? { file: process.env.GAZETTEER_PATH } : {});
+let provider;
+
+// The configured provider, created on first use (null when geocoding is disabled)
+const getProvider = () => {
+  if (provider === undefined) provider = createProvider();
+  return provider;
+};
+
+// Geocode a free-text place. Falls back to the local gazetteer when the configured
+// provider fails or finds nothing. Returns { lat, lng, label, source } or null.
+// Failures are logged, never thrown: a profile can always be saved without coordinates.
+const geocode = async (text) => {
+  const source = getProvider();
+  if (!text || !String(text).trim() || !source) return null;
+
+  const attempts = source === gazetteer ? [gazetteer] : [source, gazetteer];
+  for (const attempt of attempts) {
+    try {
+      const result = await attempt.geocode(String(text));
+      if (result) return { ...result, source: attempt.name };
+    } catch (error) {
+      console.error(`Geocoding "${text}" failed (${attempt.name}):`, error.message);
+    }
+  }
+  return null;
+};
+
+module.exports = { geocode, getProvider };
@@ -0,0 +1,29 @@
+// Geocodes free-text places with a Nominatim server (OpenStreetMap's geocoder)
+class NominatimProvider {
+  constructor({ baseUrl = 'https://nominatim.openstreetmap.org', userAgent = 'BookSwap API', timeout = 5000 } = {}) {
+    this.name = 'nominatim';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.userAgent = userAgent;
+    this.timeout = timeout;
+  }
+
+  // { lat, lng, label } for the best match, or null when nothing matches
+  async geocode(text) {
+    const url = `${this.baseUrl}/search?format=json&limit=1&q=${encodeURIComponent(text)}`;
+    const response = await fetch(url, {
+      // Nominatim's usage policy requires an identifying User-Agent
+      headers: { 'User-Agent': this.userAgent },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`Nominatim responded with ${response.status}`);
+    }
+
+    const [place] = await response.json();
+    return place
+      ? { lat: Number(place.lat), lng: Number(place.lon), label: place.display_name }
+      : null;
+  }
+}
+
+module.exports = NominatimProvider;
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { AppError } = require('../utils/errors');
+
+// Largest upload accepted, before processing
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 5 * 1024 * 1024;
+// Images wider or taller than this are refused outright (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Generated sizes per kind of image; every size fits inside a square of `width` px.
+// The first size is the main image written to the document.
+const IMAGE_PRESETS = {
+  book: [
+    { name: 'large', width: 1600 },
+    { name: 'medium', width: 800 },
+    { name: 'thumb', width: 200 }
+  ],
+  avatar: [
+    { name: 'large', width: 512 },
+    { name: 'thumb', width: 128 }
+  ]
+};
+
+// Identify the image type from its magic bytes; the client's Content-Type is not trusted
+const sniffMimeType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'image/gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+};
+
+// Decode, orient and resize an upload into every size of the preset, as WebP.
+// Re-encoding drops all metadata, EXIF (including GPS position) with it.
+const renderVariants = async (buffer, preset) => {
+  if (!sniffMimeType(buffer)) {
+    throw new AppError('Only JPEG, PNG, GIF and WebP images are supported', 415);
+  }
+
+  try {
+    return await Promise.all(IMAGE_PRESETS[preset].map(async ({ name, width }) => ({
+      name,
+      buffer: await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate() // apply the EXIF orientation before it is stripped
+        .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer()
+    })));
+  } catch (error) {
+    throw new AppError('The uploaded file is not a readable image', 400);
+  }
+};
+
+// Process and store an upload under `folder`.
+// Returns { url, variants } where `variants` maps each size name to its URL.
+const storeImage = async (buffer, { folder, preset = 'book' }) => {
+  const storage = getStorage();
+  const id = crypto.randomBytes(12).toString('hex');
+  const rendered = await renderVariants(buffer, preset);
+
+  const variants = {};
+  for (const { name, buffer: output } of rendered) {
+    variants[name] = await storage.put(`${folder}/${id}-${name}.webp`, output, 'image/webp');
+  }
+
+  return { url: variants[IMAGE_PRESETS[preset][0].name], variants };
+};
+
+// Delete every size of a stored image given any of its URLs, provided it was stored
+// under `folder` (the one it was uploaded to, e.g. the book's own). A URL pointing
+// anywhere else - an external link, or someone else's upload - is left alone.
+const removeImage = async (url, { folder, preset = 'book' }) => {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+  // Only names storeImage generates, directly inside the folder (no "../" tricks)
+  const match = key && folder && key.startsWith(`${folder}/`) &&
+    key.slice(folder.length + 1).match(/^([0-9a-f]{24})-[a-z]+\.webp$/);
+  if (!match) return;
+
+  try {
+    await Promise.all(IMAGE_PRESETS[preset].map(({ name }) => storage.delete(`${folder}/${match[1]}-${name}.webp`)));
+  } catch (error) {
+    console.error(`Failed to delete image ${url}:`, error);
+  }
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  IMAGE_PRESETS,
+  sniffMimeType,
+  storeImage,
+  removeImage
+};
@@ -0,0 +1,65 @@
+const Loan = require('../models/Loan');
+const emailService = require('./emailService');
+const eventService = require('./eventService');
+
+const BATCH_SIZE = 100;
+// Overdue borrowers are reminded at most once a day
+const REMINDER_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Flag loans past their due date as overdue and remind their borrowers.
+// Overdue reminders cannot be turned off: the owner is waiting for the book.
+const processOverdueLoans = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const lapsed = await Loan.find({
+    status: 'lent',
+    isActive: true,
+    dueDate: { $lte: now }
+  })
+    .sort({ dueDate: 1 })
+    .limit(limit);
+
+  let flagged = 0;
+  let failed = 0;
+
+  for (const loan of lapsed) {
+    try {
+      await loan.markOverdue();
+      flagged += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Failed to mark loan ${loan._id} overdue:`, error);
+      continue;
+    }
+
+    await eventService.publish([loan.borrower, loan.owner], 'loan.overdue', {
+      loanId: loan._id,
+      status: loan.status
+    });
+  }
+
+  const due = await Loan.find({
+    status: 'overdue',
+    isActive: true,
+    $or: [
+      { lastReminderAt: null },
+      { lastReminderAt: { $lte: new Date(now.getTime() - REMINDER_INTERVAL_MS) } }
+    ]
+  })
+    .populate('borrower', 'email firstName')
+    .populate('book', 'title')
+    .limit(limit);
+
+  let reminded = 0;
+  for (const loan of due) {
+    if (loan.borrower && await emailService.sendLoanOverdueEmail(loan.borrower, loan)) {
+      reminded += 1;
+    }
+    await Loan.updateOne(
+      { _id: loan._id },
+      { lastReminderAt: now, $inc: { reminderCount: 1 } }
+    );
+  }
+
+  return { checked: lapsed.length, flagged, failed, reminded };
+};
+
+module.exports = { processOverdueLoans };
@@ -0,0 +1,212 @@
+const Book = require('../models/Book');
+const User = require('../models/User');
+const SwapCycle = require('../models/SwapCycle');
+
+const MIN_CYCLE_LENGTH = 2;
+const MAX_CYCLE_LENGTH = 4;
+const MAX_PROPOSALS_PER_RUN = 50;
+// Bounds on the graph, so a run's cost does not grow with the whole collection
+const MAX_GRAPH_BOOKS = 5000;
+const MAX_GRAPH_USERS = 5000;
+// Edges the cycle search may follow before it stops with what it found so far
+const MAX_SEARCH_STEPS = 100000;
+// How long a built graph is reused for user-triggered suggestions
+const GRAPH_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const normalizeText = value => (value || '').toString().trim().toLowerCase();
+const normalizeIsbn = value => (value || '').toString().replace(/[^0-9X]/gi, '').toUpperCase();
+
+// Check whether an available book satisfies a want-list entry
+const matchesWant = (want, book) => {
+  if (want.isbn && book.isbn && normalizeIsbn(want.isbn) === normalizeIsbn(book.isbn)) {
+    return true;
+  }
+  if (!want.title || normalizeText(want.title) !== normalizeText(book.title)) {
+    return false;
+  }
+  return !want.author || normalizeText(want.author) === normalizeText(book.author);
+};
+
+// Build the "wants" graph from want-lists and available books (the newest ones, up to the caps).
+// An edge A -> B lists the books owned by B that A wants, i.e. B could give A a book.
+// Giveaway listings are not swappable, and a book held for a waitlisted user only
+// links to that user.
+const buildWantGraph = async () => {
+  const now = new Date();
+  const [books, users] = await Promise.all([
+    Book.find({ isAvailable: true, isActive: true, owner: { $ne: null }, listingType: { $ne: 'giveaway' } })
+      .select('owner title author isbn priorityHold')
+      .sort({ createdAt: -1 })
+      .limit(MAX_GRAPH_BOOKS)
+      .lean(),
+    User.find({ isActive: true, isBlocked: false, 'wantList.0': { $exists: true } })
+      .select('wantList')
+      .sort({ updatedAt: -1 })
+      .limit(MAX_GRAPH_USERS)
+      .lean()
+  ]);
+
+  // Index books by title and ISBN so each want-list entry only checks likely candidates
+  const byTitle = new Map();
+  const byIsbn = new Map();
+  books.forEach((book) => {
+    const titleKey = normalizeText(book.title);
+    if (!byTitle.has(titleKey)) byTitle.set(titleKey, []);
+    byTitle.get(titleKey).push(book);
+
+    const isbnKey = normalizeIsbn(book.isbn);
+    if (isbnKey) {
+      if (!byIsbn.has(isbnKey)) byIsbn.set(isbnKey, []);
+      byIsbn.get(isbnKey).push(book);
+    }
+  });
+
+  const graph = new Map();
+  users.forEach((user) => {
+    const userId = user._id.toString();
+    const edges = new Map();
+
+    user.wantList.forEach((want) => {
+      const candidates = [
+        ...(byIsbn.get(normalizeIsbn(want.isbn)) || []),
+        ...(byTitle.get(normalizeText(want.title)) || [])
+      ];
+
+      candidates.forEach((book) => {
+        const ownerId = book.owner.toString();
+        if (ownerId === userId || !matchesWant(want, book)) return;
+        if (Book.prototype.isHeldFrom.call(book, userId, now)) return;
+
+        if (!edges.has(ownerId)) edges.set(ownerId, []);
+        const bookIds = edges.get(ownerId);
+        if (!bookIds.some(id => id.equals(book._id))) bookIds.push(book._id);
+      });
+    });
+
+    if (edges.size > 0) graph.set(userId, edges);
+  });
+
+  return graph;
+};
+
+let cachedGraph = null;
+
+// The want graph, rebuilt at most every GRAPH_CACHE_TTL_MS (and by every batch run)
+const getWantGraph = async () => {
+  if (!cachedGraph || Date.now() - cachedGraph.builtAt > GRAPH_CACHE_TTL_MS) {
+    cachedGraph = { graph: await buildWantGraph(), builtAt: Date.now() };
+  }
+  return cachedGraph.graph;
+};
+
+// Find simple cycles of MIN..MAX participants in the graph, shortest first, stopping
+// once `limit` cycles are found or the search has followed `maxSteps` edges.
+// With `forUser` only cycles through that user are returned; otherwise each cycle
+// is reported once, starting from its smallest user id.
+const findCycles = (graph, {
+  forUser = null,
+  maxLength = MAX_CYCLE_LENGTH,
+  limit = MAX_PROPOSALS_PER_RUN,
+  maxSteps = MAX_SEARCH_STEPS
+} = {}) => {
+  const cycles = [];
+  const starts = forUser ? [forUser.toString()] : Array.from(graph.keys()).sort();
+  let steps = 0;
+  const done = () => cycles.length >= limit || steps >= maxSteps;
+
+  // Depth-first search for cycles of exactly `length` participants back to `start`
+  const walk = (start, path, length) => {
+    const edges = graph.get(path[path.length - 1]);
+    if (!edges) return;
+
+    for (const next of edges.keys()) {
+      if (done()) return;
+      steps += 1;
+
+      if (path.length === length) {
+        if (next === start) cycles.push([...path]);
+      } else if (next !== start && !path.includes(next) && (forUser || next > start)) {
+        walk(start, [...path, next], length);
+      }
+    }
+  };
+
+  // Shorter cycles are easier to coordinate, so they are searched for (and proposed) first
+  for (let length = MIN_CYCLE_LENGTH; length <= maxLength && !done(); length += 1) {
+    for (const start of starts) {
+      if (done()) break;
+      walk(start, [start], length);
+    }
+  }
+
+  return cycles
+    .map(path => path.map((receiver, index) => {
+      const giver = path[(index + 1) % path.length];
+      return {
+        giver,
+        receiver,
+        book: graph.get(receiver).get(giver)[0]
+      };
+    }));
+};
+
+// Persist cycles as proposals, skipping ones that are already open
+const proposeCycles = async (cycles, source) => {
+  const proposals = [];
+
+  for (const legs of cycles) {
+    const cycleKey = SwapCycle.keyFor(legs.map(leg => leg.book));
+    const existing = await SwapCycle.exists({
+      cycleKey,
+      status: { $in: ['proposed', 'accepted'] }
+    });
+    if (existing) continue;
+
+    proposals.push(await SwapCycle.create({ legs, source }));
+  }
+
+  return proposals;
+};
+
+// A user's open cycle proposals (read only)
+const findOpenProposals = userId => SwapCycle.findUserCycles(userId, 'proposed')
+  .where('expiresAt').gt(new Date());
+
+// Propose cycles that include the given user and return their open proposals
+const suggestForUser = async (userId) => {
+  const graph = await getWantGraph();
+  const cycles = findCycles(graph, { forUser: userId });
+  await proposeCycles(cycles, 'suggestion');
+
+  return findOpenProposals(userId);
+};
+
+// Batch run over the whole community (admin-triggered job)
+const runBatchMatching = async () => {
+  // Retire proposals nobody acted on; they never locked any books
+  const expired = await SwapCycle.updateMany(
+    { status: 'proposed', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+
+  const graph = await buildWantGraph();
+  cachedGraph = { graph, builtAt: Date.now() };
+  const cycles = findCycles(graph);
+  const proposals = await proposeCycles(cycles, 'batch');
+
+  return {
+    users: graph.size,
+    cyclesFound: cycles.length,
+    proposed: proposals.length,
+    expired: expired.modifiedCount
+  };
+};
+
+module.exports = {
+  matchesWant,
+  buildWantGraph,
+  findCycles,
+  findOpenProposals,
+  suggestForUser,
+  runBatchMatching
+};
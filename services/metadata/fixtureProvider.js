@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+// Serves metadata from a local JSON file keyed by ISBN-13, for offline development and demos
+class FixtureProvider {
+  constructor({ file = path.join(__dirname, 'fixtures.json') } = {}) {
+    this.name = 'fixture';
+    this.file = file;
+    this.records = null;
+  }
+
+  async lookup(isbn) {
+    if (!this.records) {
+      this.records = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+    return this.records[isbn] || null;
+  }
+}
+
+module.exports = FixtureProvider;
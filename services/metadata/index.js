@@ -0,0 +1,54 @@
+const OpenLibraryProvider = require('./openLibraryProvider');
+const FixtureProvider = require('./fixtureProvider');
+const { toIsbn13 } = require('../../utils/isbn');
+
+// Book fields a provider can fill in
+const METADATA_FIELDS = ['title', 'author', 'publisher', 'publishedYear', 'pageCount', 'coverImage'];
+
+// Pick the provider from METADATA_PROVIDER: 'openlibrary' (default), 'fixture' or 'none'.
+// Every provider exposes lookup(isbn13) -> metadata or null.
+const createProvider = () => {
+  const name = (process.env.METADATA_PROVIDER || 'openlibrary').toLowerCase();
+
+  if (name === 'none') return null;
+  if (name === 'fixture') {
+    return new FixtureProvider(process.env.METADATA_FIXTURES_PATH ? { file: process.env.METADATA_FIXTURES_PATH } : {});
+  }
+  if (name !== 'openlibrary') {
+    throw new Error(`Unknown METADATA_PROVIDER: ${name}`);
+  }
+  return new OpenLibraryProvider(process.env.OPENLIBRARY_URL ? { baseUrl: process.env.OPENLIBRARY_URL } : {});
+};
+
+let provider;
+
+// The configured provider, created on first use (null when lookups are disabled)
+const getProvider = () => {
+  if (provider === undefined) provider = createProvider();
+  return provider;
+};
+
+// Look an ISBN up. Returns only the known fields, or null when nothing was found.
+// Provider failures are logged, never thrown: a book can always be added by hand.
+const lookupIsbn = async (value) => {
+  const isbn = toIsbn13(value);
+  const source = getProvider();
+  if (!isbn || !source) return null;
+
+  try {
+    const metadata = await source.lookup(isbn);
+    if (!metadata) return null;
+
+    return METADATA_FIELDS.reduce((known, field) => {
+      if (metadata[field] !== null && metadata[field] !== undefined && metadata[field] !== '') {
+        known[field] = metadata[field];
+      }
+      return known;
+    }, {});
+  } catch (error) {
+    console.error(`ISBN lookup for ${isbn} failed (${source.name}):`, error.message);
+    return null;
+  }
+};
+
+module.exports = { METADATA_FIELDS, getProvider, lookupIsbn };
@@ -0,0 +1,36 @@
+// Looks books up in the Open Library books API (or a compatible mirror)
+class OpenLibraryProvider {
+  constructor({ baseUrl = 'https://openlibrary.org', timeout = 5000 } = {}) {
+    this.name = 'openlibrary';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  // Map an Open Library record onto Book fields
+  toMetadata(record) {
+    const year = /\d{4}/.exec(record.publish_date || '');
+    return {
+      title: record.title || null,
+      author: (record.authors || []).map(author => author.name).filter(Boolean).join(', ') || null,
+      publisher: record.publishers && record.publishers[0] ? record.publishers[0].name : null,
+      publishedYear: year ? Number(year[0]) : null,
+      pageCount: record.number_of_pages || null,
+      coverImage: record.cover ? (record.cover.large || record.cover.medium || null) : null
+    };
+  }
+
+  // Metadata for an ISBN-13, or null when Open Library doesn't know it
+  async lookup(isbn) {
+    const url = `${this.baseUrl}/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) {
+      throw new Error(`Open Library responded with ${response.status}`);
+    }
+
+    const body = await response.json();
+    const record = body[`ISBN:${isbn}`];
+    return record ? this.toMetadata(record) : null;
+  }
+}
+
+module.exports = OpenLibraryProvider;
@@ -0,0 +1,163 @@
+const Swap = require('../models/Swap');
+const Review = require('../models/Review');
+const emailService = require('./emailService');
+const eventService = require('./eventService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const BATCH_SIZE = 100;
+
+// Meeting reminders, checked from the latest to the earliest
+const MEETING_REMINDERS = [
+  { kind: 'meeting_1h', lead: HOUR },
+  { kind: 'meeting_24h', lead: DAY }
+];
+// Nudge the responding party this long before a request expires
+const EXPIRY_NUDGE_LEAD_MS = DAY;
+// Ask for reviews a day after completion, and stop asking after two weeks
+const REVIEW_NUDGE_DELAY_MS = DAY;
+const REVIEW_NUDGE_CUTOFF_MS = 14 * DAY;
+
+const partyFields = 'username firstName email isActive notificationPreferences';
+
+const reminderPopulate = [
+  { path: 'requester', select: partyFields },
+  { path: 'owner', select: partyFields },
+  { path: 'requestedBooks', select: 'title author' },
+  { path: 'offeredBooks', select: 'title author' }
+];
+
+// Whether a user still wants a given kind of reminder
+const wantsReminder = (user, preference) => Boolean(user && user.isActive !== false &&
+  (!user.notificationPreferences || user.notificationPreferences[preference] !== false));
+
+// Record a reminder as sent; returns false if another run already claimed it.
+// Claiming before sending keeps overlapping runs from sending twice.
+const claimReminder = async (swap, kind) => {
+  const result = await Swap.updateOne(
+    { _id: swap._id, 'remindersSent.kind': { $ne: kind } },
+    { $push: { remindersSent: { kind, sentAt: new Date() } } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Whether either party of the swap has since been deleted. Such a swap is retired from
+// the reminder (claimed without sending) so it does not come back in every batch.
+const missingParty = async (swap, kind) => {
+  if (swap.requester && swap.owner) return false;
+  await claimReminder(swap, kind);
+  return true;
+};
+
+// Send one reminder to the given recipients, by email and in-app
+const deliver = async (swap, kind, recipients, preference, sendEmail) => {
+  if (!(await claimReminder(swap, kind))) return 0;
+
+  const optedIn = recipients.filter(user => wantsReminder(user, preference));
+  for (const user of optedIn) {
+    await sendEmail(user);
+  }
+  await eventService.publish(optedIn.map(user => user._id), 'swap.reminder', {
+    swapId: swap._id,
+    kind
+  });
+  return optedIn.length;
+};
+
+// Remind both parties 24 hours and 1 hour before an accepted swap's meeting
+const sendMeetingReminders = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  let sent = 0;
+
+  for (const [index, { kind, lead }] of MEETING_REMINDERS.entries()) {
+    // A meeting inside a shorter window only gets the shorter reminder
+    const shorterLead = index > 0 ? MEETING_REMINDERS[index - 1].lead : 0;
+    const swaps = await Swap.find({
+      status: 'accepted',
+      isActive: true,
+      meetingDate: {
+        $gt: new Date(now.getTime() + shorterLead),
+        $lte: new Date(now.getTime() + lead)
+      },
+      'remindersSent.kind': { $ne: kind }
+    })
+      .populate(reminderPopulate)
+      .limit(limit);
+
+    for (const swap of swaps) {
+      if (await missingParty(swap, kind)) continue;
+      sent += await deliver(swap, kind, [swap.requester, swap.owner], 'meetingReminders',
+        user => emailService.sendMeetingReminderEmail(user, swap, lead / HOUR));
+    }
+  }
+
+  return sent;
+};
+
+// Nudge whoever has to answer a pending request that is about to expire
+const sendExpiryReminders = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const swaps = await Swap.find({
+    status: 'pending',
+    isActive: true,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + EXPIRY_NUDGE_LEAD_MS) },
+    'remindersSent.kind': { $ne: 'expiry' }
+  })
+    .populate(reminderPopulate)
+    .limit(limit);
+
+  let sent = 0;
+  for (const swap of swaps) {
+    if (await missingParty(swap, 'expiry')) continue;
+    const respondentId = (swap.awaitingResponseFrom || swap.owner._id).toString();
+    const respondent = [swap.requester, swap.owner].find(user => user && user._id.toString() === respondentId);
+
+    sent += await deliver(swap, 'expiry', [respondent], 'expiryReminders',
+      user => emailService.sendExpiryReminderEmail(user, swap));
+  }
+
+  return sent;
+};
+
+// Ask both parties of a recently completed swap to review each other
+const sendReviewReminders = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const swaps = await Swap.find({
+    status: 'completed',
+    isActive: true,
+    completedAt: {
+      $gt: new Date(now.getTime() - REVIEW_NUDGE_CUTOFF_MS),
+      $lte: new Date(now.getTime() - REVIEW_NUDGE_DELAY_MS)
+    },
+    'remindersSent.kind': { $ne: 'review' }
+  })
+    .populate(reminderPopulate)
+    .limit(limit);
+
+  let sent = 0;
+  for (const swap of swaps) {
+    if (await missingParty(swap, 'review')) continue;
+    const reviews = await Review.find({ swap: swap._id, isActive: true }).select('reviewer');
+    const reviewed = reviews.map(review => review.reviewer.toString());
+    const parties = [swap.requester, swap.owner];
+    const pending = parties.filter(user => !reviewed.includes(user._id.toString()));
+
+    sent += await deliver(swap, 'review', pending, 'reviewReminders', (user) => {
+      const otherParty = parties.find(party => !party._id.equals(user._id));
+      return emailService.sendReviewReminderEmail(user, swap, otherParty);
+    });
+  }
+
+  return sent;
+};
+
+// Run every reminder type once (scheduled job)
+const sendDueReminders = async (options = {}) => ({
+  meeting: await sendMeetingReminders(options),
+  expiry: await sendExpiryReminders(options),
+  review: await sendReviewReminders(options)
+});
+
+module.exports = {
+  sendMeetingReminders,
+  sendExpiryReminders,
+  sendReviewReminders,
+  sendDueReminders
+};
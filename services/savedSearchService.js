@@ -0,0 +1,100 @@
+const Book = require('../models/Book');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const { buildBookFilter } = require('../utils/bookFilters');
+const emailService = require('./emailService');
+const eventService = require('./eventService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+// Most books listed in a single digest
+const DIGEST_MAX_BOOKS = 20;
+
+// Exact-match filters a book can rule a search out on without a query
+const EXACT_FIELDS = ['genre', 'condition', 'language', 'listingType'];
+
+// Alert the owners of instant saved searches that a newly listed or relisted book matches.
+// Failures are logged, never thrown: listing a book must not fail because of alerts.
+const alertInstantMatches = async (book) => {
+  if (!book || !book.owner || !book.isAvailable || !book.isActive) return 0;
+
+  try {
+    const candidates = await SavedSearch.find({
+      alertFrequency: 'instant',
+      user: { $ne: book.owner },
+      ...Object.fromEntries(EXACT_FIELDS.map(field => [`filters.${field}`, { $in: [null, book[field]] }]))
+    }).populate('user', 'firstName email isActive isBlocked');
+
+    let alerted = 0;
+    for (const search of candidates) {
+      if (!search.user || !search.user.isActive || search.user.isBlocked) continue;
+
+      // The search itself decides, through the same filter as the listing route
+      const matches = await Book.exists({ _id: book._id, ...buildBookFilter(search.filters) });
+      if (!matches) continue;
+
+      const alreadyTold = await Notification.exists({
+        user: search.user._id,
+        type: 'search.matched',
+        'data.searchId': search._id,
+        'data.bookId': book._id
+      });
+      if (alreadyTold) continue;
+
+      await eventService.publish(search.user._id, 'search.matched', {
+        searchId: search._id,
+        bookId: book._id
+      });
+      await emailService.sendSavedSearchEmail(search.user, search, [book]);
+      alerted += 1;
+    }
+
+    return alerted;
+  } catch (error) {
+    console.error(`Failed to run saved search alerts for book ${book._id}:`, error);
+    return 0;
+  }
+};
+
+// Send each daily saved search a digest of the books listed since its last one (scheduled job)
+const sendDailyDigests = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const due = await SavedSearch.find({
+    alertFrequency: 'daily',
+    lastDigestAt: { $lte: new Date(now.getTime() - DAY) }
+  })
+    .populate('user', 'firstName email isActive isBlocked')
+    .limit(limit);
+
+  let sent = 0;
+  for (const search of due) {
+    const since = search.lastDigestAt;
+
+    // Claim the digest first so overlapping runs don't send it twice
+    const claimed = await SavedSearch.updateOne(
+      { _id: search._id, lastDigestAt: since },
+      { lastDigestAt: now }
+    );
+    if (claimed.modifiedCount !== 1) continue;
+    if (!search.user || !search.user.isActive || search.user.isBlocked) continue;
+
+    const books = await Book.find({
+      ...buildBookFilter(search.filters),
+      owner: { $ne: search.user._id },
+      createdAt: { $gt: since, $lte: now }
+    })
+      .sort({ createdAt: -1 })
+      .limit(DIGEST_MAX_BOOKS);
+    if (books.length === 0) continue;
+
+    await eventService.publish(search.user._id, 'search.digest', {
+      searchId: search._id,
+      bookIds: books.map(book => book._id)
+    });
+    await emailService.sendSavedSearchEmail(search.user, search, books);
+    sent += 1;
+  }
+
+  return sent;
+};
+
+module.exports = { alertInstantMatches, sendDailyDigests };
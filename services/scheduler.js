@@ -0,0 +1,88 @@
+// Lightweight in-process job scheduler.
+// Jobs are registered once (see config/jobs.js) and can either run on a timer
+// (long-running server) or be triggered on demand (serverless / admin routes).
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = new Map();
+  }
+
+  // Register a named job with its interval in milliseconds (null = run on demand only)
+  register(name, { interval, handler, description = '' }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      interval,
+      handler,
+      description,
+      running: false,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null
+    });
+  }
+
+  has(name) {
+    return this.jobs.has(name);
+  }
+
+  // Public snapshot of registered jobs and their last run
+  list() {
+    return Array.from(this.jobs.values()).map(({ handler, ...job }) => job);
+  }
+
+  // Run a job once; overlapping runs of the same job are skipped
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job "${name}"`);
+    }
+
+    if (job.running) {
+      return { skipped: true, reason: 'Job is already running' };
+    }
+
+    job.running = true;
+    try {
+      const result = await job.handler();
+      job.lastResult = result;
+      job.lastError = null;
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      throw error;
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  // Start interval timers for every registered job
+  start() {
+    this.jobs.forEach((job, name) => {
+      if (!job.interval || this.timers.has(name)) return;
+
+      const timer = setInterval(() => {
+        this.run(name).catch((error) => {
+          console.error(`Scheduled job "${name}" failed:`, error);
+        });
+      }, job.interval);
+
+      // Don't keep the process alive just for background jobs
+      timer.unref();
+      this.timers.set(name, timer);
+    });
+
+    console.log(`Scheduler started with ${this.timers.size} job(s)`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = new Scheduler();
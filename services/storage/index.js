@@ -0,0 +1,43 @@
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+// Public path local uploads are served under (see app.js)
+const LOCAL_UPLOAD_ROUTE = '/uploads';
+
+// Pick the storage adapter from STORAGE_DRIVER ('local' by default, or 's3').
+// Every adapter exposes put(key, buffer, contentType) -> url, delete(key) and keyFromUrl(url).
+const createStorage = () => {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') {
+    if (!process.env.S3_BUCKET) {
+      throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is s3');
+    }
+    return new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl: process.env.S3_PUBLIC_URL
+    });
+  }
+
+  if (driver !== 'local') {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+  return new LocalStorage({
+    root: process.env.UPLOAD_DIR || 'uploads',
+    publicUrl: process.env.UPLOAD_PUBLIC_URL || LOCAL_UPLOAD_ROUTE
+  });
+};
+
+let storage = null;
+
+// The configured adapter, created on first use
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+module.exports = { getStorage, LOCAL_UPLOAD_ROUTE };
@@ -0,0 +1,43 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files on local disk and serves them through express.static (see app.js).
+// Under the serverless entry point the disk is not persistent: use the S3 driver there.
+class LocalStorage {
+  constructor({ root, publicUrl }) {
+    this.root = path.resolve(root);
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  // Resolve a key inside the storage root, refusing anything that escapes it
+  pathFor(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  urlFor(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  // Map a URL produced by this adapter back to its key; null for foreign URLs
+  keyFromUrl(url) {
+    const prefix = `${this.publicUrl}/`;
+    return typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.pathFor(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return this.urlFor(key);
+  }
+
+  async delete(key) {
+    await fs.rm(this.pathFor(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
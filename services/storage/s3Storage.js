@@ -0,0 +1,52 @@
+// Stores files in an S3 bucket or any S3-compatible service (MinIO, R2, Spaces...)
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) {
+    // Required here so deployments on local storage don't load the AWS SDK
+    const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    this.commands = { PutObjectCommand, DeleteObjectCommand };
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      // S3-compatible services generally expect bucket names in the path
+      forcePathStyle: Boolean(endpoint),
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    const defaultUrl = endpoint
+      ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+    this.publicUrl = (publicUrl || defaultUrl).replace(/\/$/, '');
+  }
+
+  urlFor(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  // Map a URL produced by this adapter back to its key; null for foreign URLs
+  keyFromUrl(url) {
+    const prefix = `${this.publicUrl}/`;
+    return typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+
+  async put(key, buffer, contentType) {
+    await this.client.send(new this.commands.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+    return this.urlFor(key);
+  }
+
+  async delete(key) {
+    await this.client.send(new this.commands.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,43 @@
+const Swap = require('../models/Swap');
+const eventService = require('./eventService');
+
+const BATCH_SIZE = 100;
+
+// Complete accepted swaps where one party confirmed the hand-over and the
+// other did not respond within the confirmation window. Each swap goes
+// through Swap#autoComplete(), so counters and ownership transfers are
+// applied in one transaction. Disputed swaps are no longer 'accepted' and
+// are never picked up here.
+const autoCompleteSwaps = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const swaps = await Swap.find({
+    status: 'accepted',
+    isActive: true,
+    autoCompleteAt: { $lte: now }
+  })
+    .sort({ autoCompleteAt: 1 })
+    .limit(limit);
+
+  let completed = 0;
+  let failed = 0;
+
+  for (const swap of swaps) {
+    try {
+      await swap.autoComplete();
+      completed += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Failed to auto-complete swap ${swap._id}:`, error);
+      continue;
+    }
+
+    await eventService.publish([swap.requester, swap.owner], 'swap.completed', {
+      swapId: swap._id,
+      status: swap.status,
+      auto: true
+    });
+  }
+
+  return { checked: swaps.length, completed, failed };
+};
+
+module.exports = { autoCompleteSwaps };
@@ -0,0 +1,61 @@
+const Swap = require('../models/Swap');
+const emailService = require('./emailService');
+const eventService = require('./eventService');
+
+const BATCH_SIZE = 100;
+
+// Notify both parties that a request lapsed. Failures are logged, not thrown,
+// so one swap that cannot be announced does not stop the expiry run.
+const notifyParties = async (swap) => {
+  try {
+    await eventService.publish([swap.requester, swap.owner], 'swap.expired', {
+      swapId: swap._id,
+      status: swap.status
+    });
+
+    await swap.populate([
+      { path: 'requester', select: 'email firstName' },
+      { path: 'owner', select: 'email firstName' },
+      { path: 'requestedBooks', select: 'title author' },
+      { path: 'offeredBooks', select: 'title author' }
+    ]);
+
+    const recipients = [swap.requester, swap.owner].filter(Boolean);
+    await Promise.all(recipients.map(user => emailService.sendSwapExpiredEmail(user, swap)));
+  } catch (error) {
+    console.error(`Failed to notify parties of expired swap ${swap._id}:`, error);
+  }
+};
+
+// Mark overdue pending swaps as expired.
+// Each swap goes through Swap#expire(), so the status change, its history
+// entry and any book availability changes are applied in one transaction.
+const expireStaleSwaps = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const swaps = await Swap.find({
+    status: 'pending',
+    isActive: true,
+    expiresAt: { $lte: now }
+  })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+
+  let expired = 0;
+  let failed = 0;
+
+  for (const swap of swaps) {
+    try {
+      await swap.expire();
+      expired += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Failed to expire swap ${swap._id}:`, error);
+      continue;
+    }
+
+    await notifyParties(swap);
+  }
+
+  return { checked: swaps.length, expired, failed };
+};
+
+module.exports = { expireStaleSwaps };
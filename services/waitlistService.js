@@ -0,0 +1,66 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Book = require('../models/Book');
+const emailService = require('./emailService');
+const eventService = require('./eventService');
+
+const BATCH_SIZE = 100;
+
+// Tell each offered waiter, in-app and by email, that their priority window is open
+const notifyOffers = async (entries = []) => {
+  for (const entry of entries) {
+    await entry.populate([
+      { path: 'user', select: 'firstName email isActive' },
+      { path: 'book', select: 'title' }
+    ]);
+    if (!entry.user || !entry.book) continue;
+
+    await eventService.publish(entry.user._id, 'book.waitlist_available', {
+      bookId: entry.book._id,
+      priorityUntil: entry.priorityUntil
+    });
+    if (entry.user.isActive !== false) {
+      await emailService.sendWaitlistAvailableEmail(entry.user, entry.book, entry.priorityUntil);
+    }
+  }
+};
+
+// Offer freed books to their first waiters outside of any transaction (e.g. a relist)
+const offerBooks = async (bookIds) => {
+  const offers = await WaitlistEntry.offerNext(bookIds);
+  await notifyOffers(offers);
+  return offers.length;
+};
+
+// Expire priority windows that lapsed without a request and move each queue on.
+// Also picks up available books that have waiters but nobody holding them,
+// e.g. after a loan return or a relist that happened outside the swap flow.
+const processWaitlists = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const lapsed = await WaitlistEntry.find({ status: 'notified', priorityUntil: { $lte: now } })
+    .limit(limit);
+
+  for (const entry of lapsed) {
+    entry.status = 'expired';
+    await entry.save();
+    await Book.updateOne(
+      { _id: entry.book, 'priorityHold.user': entry.user },
+      { $unset: { priorityHold: 1 } }
+    );
+  }
+
+  const waitingBooks = await WaitlistEntry.distinct('book', { status: 'waiting' });
+  const freed = await Book.find({
+    _id: { $in: waitingBooks },
+    isAvailable: true,
+    isActive: true,
+    $or: [{ 'priorityHold.user': null }, { 'priorityHold.expiresAt': { $lte: now } }]
+  })
+    .select('_id')
+    .limit(limit);
+
+  const offers = await WaitlistEntry.offerNext(freed.map(book => book._id), { now });
+  await notifyOffers(offers);
+
+  return { expired: lapsed.length, offered: offers.length };
+};
+
+module.exports = { notifyOffers, offerBooks, processWaitlists };
@@ -0,0 +1,129 @@
+const Book = require('../models/Book');
+const User = require('../models/User');
+const { matchesWant } = require('./matchingService');
+const emailService = require('./emailService');
+const eventService = require('./eventService');
+const geo = require('../utils/geo');
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact title match
+const titlePattern = title => new RegExp(`^\\s*${escapeRegex(title.trim())}\\s*$`, 'i');
+
+// ISBN match that ignores hyphens and spaces between digits
+const isbnPattern = (isbn) => {
+  const digits = isbn.replace(/[^0-9X]/gi, '').split('');
+  return digits.length > 0 ? new RegExp(`^${digits.join('[- ]?')}$`, 'i') : null;
+};
+
+// Whether the book is in the wanted condition or better
+const conditionAccepted = (want, book) => !want.maxCondition ||
+  Book.CONDITIONS.indexOf(book.condition) <= Book.CONDITIONS.indexOf(want.maxCondition);
+
+// Distance in km between the wanter and the book, or null when it cannot be told.
+// Uses coordinates when both have them; otherwise only the same place name is known to be close.
+const distanceKm = (wanter, book) => {
+  if (geo.isPoint(wanter.geo) && geo.isPoint(book.geo)) {
+    return geo.distanceKm(wanter.geo, book.geo);
+  }
+
+  const from = (wanter.location || '').trim().toLowerCase();
+  const to = (book.location || '').trim().toLowerCase();
+  return from && from === to ? 0 : null;
+};
+
+// Whether the book is close enough; an unknown distance does not rule a book out
+const withinDistance = (want, wanter, book) => {
+  if (!want.maxDistanceKm) return true;
+  const distance = distanceKm(wanter, book);
+  return distance === null || distance <= want.maxDistanceKm;
+};
+
+// Check a book against a want-list entry, including condition and distance limits
+const wantMatches = (want, wanter, book) => matchesWant(want, book) &&
+  conditionAccepted(want, book) &&
+  withinDistance(want, wanter, book);
+
+// Find the users (other than the owner) whose want-list this available book satisfies.
+// Candidates are looked up by exact title key or ISBN (both indexed; ISBNs are stored as
+// ISBN-13 on books and want-lists alike). Returns [{ user, items }] with the matching entries.
+const findWanters = async (book) => {
+  const clauses = [{ 'wantList.titleKey': User.wantTitleKey(book.title) }];
+  if (book.isbn) clauses.push({ 'wantList.isbn': book.isbn });
+
+  const users = await User.find({
+    _id: { $ne: book.owner },
+    isActive: true,
+    isBlocked: false,
+    $or: clauses
+  }).select('firstName email location geo wantList notificationPreferences');
+
+  return users
+    .map(user => ({ user, items: user.wantList.filter(want => wantMatches(want, user, book)) }))
+    .filter(match => match.items.length > 0);
+};
+
+// Tell everyone who wants this book that it is available, once per user and book.
+// Called when a book is listed or becomes available again; failures are logged, never thrown.
+const notifyWanters = async (book) => {
+  if (!book || !book.owner || !book.isAvailable || !book.isActive) return 0;
+
+  try {
+    const matches = await findWanters(book);
+    let notified = 0;
+
+    for (const { user, items } of matches) {
+      if (user.notificationPreferences && user.notificationPreferences.wantListMatches === false) continue;
+
+      // Mark the book on the matching entries; users already told about it are skipped
+      const itemIds = items.map(item => item._id);
+      const claim = await User.updateOne(
+        { _id: user._id, 'wantList.notifiedBooks': { $ne: book._id } },
+        { $addToSet: { 'wantList.$[item].notifiedBooks': book._id } },
+        { arrayFilters: [{ 'item._id': { $in: itemIds } }] }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      await eventService.publish(user._id, 'want.matched', {
+        bookId: book._id,
+        listingType: book.listingType,
+        itemIds
+      });
+      await emailService.sendWantListMatchEmail(user, book);
+      notified += 1;
+    }
+
+    return notified;
+  } catch (error) {
+    console.error(`Failed to notify wanters of book ${book._id}:`, error);
+    return 0;
+  }
+};
+
+// Available books matching each entry of a user's want-list: [{ item, books }]
+const findMatchesForUser = async (userId) => {
+  const user = await User.findById(userId).select('location geo wantList');
+  if (!user) return [];
+
+  const results = [];
+  for (const item of user.wantList) {
+    const clauses = [];
+    if (item.title) clauses.push({ title: titlePattern(item.title) });
+    const isbn = item.isbn && isbnPattern(item.isbn);
+    if (isbn) clauses.push({ isbn });
+    if (clauses.length === 0) continue;
+
+    const candidates = await Book.findAvailable({ owner: { $nin: [null, user._id] }, $or: clauses });
+    const books = candidates.filter(book => wantMatches(item, user, book));
+    if (books.length > 0) results.push({ item, books });
+  }
+
+  return results;
+};
+
+module.exports = {
+  wantMatches,
+  findWanters,
+  notifyWanters,
+  findMatchesForUser
+};
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Loan = require('../../models/Loan');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+const requestedLoan = (dueDate) => {
+  const loan = new Loan({ book: id(), owner: id(), borrower: id(), dueDate });
+  jest.spyOn(loan, 'saveInTransaction').mockResolvedValue(loan);
+  return loan;
+};
+
+describe('Loan#lend', () => {
+  test('refuses to start a loan whose requested due date has passed', () => {
+    const loan = requestedLoan(new Date(Date.now() - DAY));
+
+    expect(() => loan.lend(loan.owner)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(loan.status).toBe('requested');
+    expect(loan.saveInTransaction).not.toHaveBeenCalled();
+  });
+
+  test('accepts a new future due date in place of a passed one', async () => {
+    const loan = requestedLoan(new Date(Date.now() - DAY));
+    const dueDate = new Date(Date.now() + 7 * DAY);
+
+    await loan.lend(loan.owner, { dueDate });
+
+    expect(loan.status).toBe('lent');
+    expect(loan.dueDate).toEqual(dueDate);
+  });
+
+  test('keeps the requested due date while it is still ahead', async () => {
+    const dueDate = new Date(Date.now() + 3 * DAY);
+    const loan = requestedLoan(dueDate);
+
+    await loan.lend(loan.owner);
+
+    expect(loan.status).toBe('lent');
+    expect(loan.dueDate).toEqual(dueDate);
+  });
+});
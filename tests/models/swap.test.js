@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Swap = require('../../models/Swap');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const newSwap = (status = 'pending') => {
+  const swap = new Swap({
+    requester: id(),
+    owner: id(),
+    requestedBooks: [id()],
+    offeredBooks: [id()]
+  });
+  swap.status = status;
+  return swap;
+};
+
+describe('Swap status transitions', () => {
+  test('every status in the table is a known status, and so is every target', () => {
+    Object.entries(Swap.TRANSITIONS).forEach(([from, targets]) => {
+      expect(Swap.STATUSES).toContain(from);
+      targets.forEach(to => expect(Swap.STATUSES).toContain(to));
+    });
+    Swap.STATUSES.forEach(status => expect(Swap.TRANSITIONS).toHaveProperty(status));
+  });
+
+  test('final statuses cannot be left', () => {
+    ['declined', 'cancelled', 'expired'].forEach((status) => {
+      expect(Swap.TRANSITIONS[status]).toEqual([]);
+    });
+  });
+
+  test('only an admin resolution (completed or cancelled) leaves a dispute', () => {
+    expect(Swap.TRANSITIONS.disputed.sort()).toEqual(['cancelled', 'completed']);
+  });
+
+  test('transitionTo records history for allowed changes', () => {
+    const swap = newSwap('pending');
+    const actor = id();
+
+    swap.transitionTo('accepted', { actor, message: 'Deal' });
+
+    expect(swap.status).toBe('accepted');
+    const change = swap.statusHistory[swap.statusHistory.length - 1];
+    expect(change.from).toBe('pending');
+    expect(change.to).toBe('accepted');
+    expect(change.actor.equals(actor)).toBe(true);
+  });
+
+  test('transitionTo rejects changes outside the table with a 400', () => {
+    const swap = newSwap('pending');
+
+    expect(() => swap.transitionTo('completed')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(swap.status).toBe('pending');
+  });
+});
+
+describe('Swap#resolveDispute', () => {
+  const disputedSwap = (previousStatus, meetingDate = new Date()) => {
+    const swap = newSwap('disputed');
+    swap.meetingDate = meetingDate;
+    swap.dispute = { openedBy: swap.requester, reason: 'no_show', previousStatus };
+    jest.spyOn(swap, 'saveInTransaction').mockResolvedValue(swap);
+    return swap;
+  };
+
+  test('reverting a swap disputed before completion cancels its meeting invite', async () => {
+    const swap = disputedSwap('accepted');
+
+    await swap.resolveDispute(id(), { outcome: 'revert' });
+
+    expect(swap.status).toBe('cancelled');
+    expect(swap.meetingSequence).toBe(1);
+  });
+
+  test('upholding the swap or reverting a completed one leaves the meeting alone', async () => {
+    const upheld = disputedSwap('accepted');
+    const reverted = disputedSwap('completed');
+
+    await upheld.resolveDispute(id(), { outcome: 'complete' });
+    await reverted.resolveDispute(id(), { outcome: 'revert' });
+
+    expect(upheld.meetingSequence).toBe(0);
+    expect(reverted.meetingSequence).toBe(0);
+  });
+});
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const SwapCycle = require('../../models/SwapCycle');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A three-way cycle: a gives to b, b to c, c to a
+const acceptedCycle = () => {
+  const [a, b, c] = [id(), id(), id()];
+  const cycle = new SwapCycle({
+    legs: [
+      { giver: a, receiver: b, book: id(), acceptedAt: new Date() },
+      { giver: b, receiver: c, book: id(), acceptedAt: new Date() },
+      { giver: c, receiver: a, book: id(), acceptedAt: new Date() }
+    ],
+    status: 'accepted'
+  });
+  jest.spyOn(cycle, 'save').mockResolvedValue(cycle);
+  jest.spyOn(cycle, 'saveInTransaction').mockResolvedValue(cycle);
+  return { cycle, users: [a, b, c] };
+};
+
+describe('SwapCycle#confirmReceipt', () => {
+  test('one participant cannot complete the cycle for everyone', async () => {
+    const { cycle, users: [a] } = acceptedCycle();
+
+    await cycle.confirmReceipt(a);
+
+    expect(cycle.status).toBe('accepted');
+    expect(cycle.hasConfirmedReceipt(a)).toBe(true);
+    expect(cycle.saveInTransaction).not.toHaveBeenCalled();
+  });
+
+  test('completes, in a transaction, once every receiver has confirmed', async () => {
+    const { cycle, users } = acceptedCycle();
+
+    for (const user of users) {
+      await cycle.confirmReceipt(user);
+    }
+
+    expect(cycle.status).toBe('completed');
+    expect(cycle.completedAt).toBeInstanceOf(Date);
+    expect(cycle.saveInTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('confirming twice does not count as another participant', async () => {
+    const { cycle, users: [a] } = acceptedCycle();
+
+    await cycle.confirmReceipt(a);
+    await cycle.confirmReceipt(a);
+
+    expect(cycle.status).toBe('accepted');
+  });
+
+  test('only accepted cycles can be completed', () => {
+    const { cycle, users: [a] } = acceptedCycle();
+    cycle.status = 'proposed';
+
+    expect(() => cycle.confirmReceipt(a)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('a cycle cannot be cancelled once a book has been received', async () => {
+    const { cycle, users: [a] } = acceptedCycle();
+    await cycle.confirmReceipt(a);
+
+    expect(() => cycle.cancel()).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
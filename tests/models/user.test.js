@@ -0,0 +1,19 @@
+const User = require('../../models/User');
+
+describe('User want-list', () => {
+  test('derives a lower-cased title key for each entry', async () => {
+    const user = new User({
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      username: 'ada',
+      email: 'ada@example.com',
+      password: 'secret123',
+      wantList: [{ title: '  The Left Hand of Darkness ' }, { isbn: '9780441172719' }]
+    });
+
+    await user.validate();
+
+    expect(user.wantList[0].titleKey).toBe('the left hand of darkness');
+    expect(user.wantList[1].titleKey).toBeUndefined();
+  });
+});
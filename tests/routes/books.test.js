@@ -0,0 +1,109 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+const { toPoint, fuzzPoint } = require('../../utils/geo');
+const { appWith, makeUser, serveUsers, bearer } = require('./helpers');
+
+const app = appWith('/api/books', require('../../routes/books'));
+
+describe('PUT /api/books/:id', () => {
+  let owner;
+  let stranger;
+  let book;
+
+  beforeEach(() => {
+    owner = makeUser({ location: 'London', geo: toPoint(51.5074, -0.1278) });
+    stranger = makeUser();
+    serveUsers(owner, stranger);
+
+    book = new Book({
+      title: 'Dune',
+      author: 'Frank Herbert',
+      genre: 'Science Fiction',
+      condition: 'Good',
+      owner: owner._id,
+      location: 'London'
+    });
+    jest.spyOn(book, 'save').mockResolvedValue(book);
+    jest.spyOn(book, 'populate').mockResolvedValue(book);
+    jest.spyOn(Book, 'findById').mockResolvedValue(book);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('updates the editable fields and normalizes the ISBN', async () => {
+    const res = await request(app)
+      .put(`/api/books/${book._id}`)
+      .set('Authorization', bearer(owner))
+      .send({ title: 'Dune Messiah', condition: 'excellent', isbn: '0-441-17271-7' });
+
+    expect(res.status).toBe(200);
+    expect(book.title).toBe('Dune Messiah');
+    expect(book.condition).toBe('Very Good');
+    expect(book.isbn).toBe('9780441172719');
+  });
+
+  test('ignores ownership, history, holds, images and position sent by the client', async () => {
+    const thief = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .put(`/api/books/${book._id}`)
+      .set('Authorization', bearer(owner))
+      .send({
+        owner: thief.toString(),
+        swapCount: 42,
+        previousOwners: [{ owner: thief.toString() }],
+        priorityHold: { user: thief.toString(), expiresAt: new Date(Date.now() + 60000) },
+        coverImage: 'https://cdn.example.com/books/other/abc-large.webp',
+        geo: { type: 'Point', coordinates: [0, 0] },
+        location: 'Somewhere else'
+      });
+
+    expect(res.status).toBe(200);
+    expect(book.owner.equals(owner._id)).toBe(true);
+    expect(book.swapCount).toBe(0);
+    expect(book.previousOwners).toHaveLength(0);
+    expect(book.priorityHold && book.priorityHold.user).toBeFalsy();
+    expect(book.coverImage).toBeFalsy();
+    // The book sits at the owner's fuzzed position, never at the exact one
+    expect(book.location).toBe('London');
+    expect(book.geo.toObject()).toEqual(fuzzPoint(owner.geo, owner._id));
+  });
+
+  test('only accepts the documented condition values', async () => {
+    const res = await request(app)
+      .put(`/api/books/${book._id}`)
+      .set('Authorization', bearer(owner))
+      .send({ condition: 'like new' });
+
+    expect(res.status).toBe(400);
+    expect(book.save).not.toHaveBeenCalled();
+  });
+
+  test('rejects an invalid ISBN', async () => {
+    const res = await request(app)
+      .put(`/api/books/${book._id}`)
+      .set('Authorization', bearer(owner))
+      .send({ isbn: '0441172718' });
+
+    expect(res.status).toBe(400);
+    expect(book.save).not.toHaveBeenCalled();
+  });
+
+  test('only the owner can edit', async () => {
+    const res = await request(app)
+      .put(`/api/books/${book._id}`)
+      .set('Authorization', bearer(stranger))
+      .send({ title: 'Mine now' });
+
+    expect(res.status).toBe(403);
+    expect(book.title).toBe('Dune');
+    expect(book.save).not.toHaveBeenCalled();
+  });
+
+  test('requires authentication', async () => {
+    const res = await request(app).put(`/api/books/${book._id}`).send({ title: 'Anonymous' });
+
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,69 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const SwapCycle = require('../../models/SwapCycle');
+const { appWith, makeUser, serveUsers, bearer } = require('./helpers');
+
+const app = appWith('/api/cycles', require('../../routes/cycles'));
+
+describe('PUT /api/cycles/:id/complete', () => {
+  let users;
+  let stranger;
+  let cycle;
+
+  beforeEach(() => {
+    users = [makeUser(), makeUser(), makeUser()];
+    stranger = makeUser();
+    serveUsers(...users, stranger);
+
+    const book = () => new mongoose.Types.ObjectId();
+    cycle = new SwapCycle({
+      legs: users.map((giver, index) => ({
+        giver: giver._id,
+        receiver: users[(index + 1) % users.length]._id,
+        book: book(),
+        acceptedAt: new Date()
+      })),
+      participants: users.map(user => user._id),
+      cycleKey: 'test',
+      status: 'accepted'
+    });
+    jest.spyOn(cycle, 'save').mockResolvedValue(cycle);
+    jest.spyOn(cycle, 'saveInTransaction').mockResolvedValue(cycle);
+    jest.spyOn(cycle, 'populate').mockResolvedValue(cycle);
+    jest.spyOn(SwapCycle, 'findById').mockResolvedValue(cycle);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a single participant only records their own receipt', async () => {
+    const res = await request(app)
+      .put(`/api/cycles/${cycle._id}/complete`)
+      .set('Authorization', bearer(users[0]));
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toMatch(/waiting for the other participants/);
+    expect(cycle.status).toBe('accepted');
+    expect(cycle.saveInTransaction).not.toHaveBeenCalled();
+  });
+
+  test('the cycle completes when the last receiver confirms', async () => {
+    for (const user of users) {
+      await request(app)
+        .put(`/api/cycles/${cycle._id}/complete`)
+        .set('Authorization', bearer(user))
+        .expect(200);
+    }
+
+    expect(cycle.status).toBe('completed');
+    expect(cycle.saveInTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('someone outside the cycle cannot touch it', async () => {
+    const res = await request(app)
+      .put(`/api/cycles/${cycle._id}/complete`)
+      .set('Authorization', bearer(stranger));
+
+    expect(res.status).toBe(403);
+    expect(cycle.legs.every(leg => !leg.receivedAt)).toBe(true);
+  });
+});
@@ -0,0 +1,62 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { appWith, makeUser, serveUsers, bearer } = require('./helpers');
+
+// Serverless mode answers the stream with a 503 right after authentication,
+// so these tests never hold a connection open
+const app = appWith('/api/events', require('../../routes/events'));
+app.set('serverless', true);
+
+describe('event stream authentication', () => {
+  let user;
+
+  beforeEach(() => {
+    user = makeUser();
+    serveUsers(user);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const streamToken = async () => {
+    const res = await request(app)
+      .post('/api/events/token')
+      .set('Authorization', bearer(user))
+      .expect(200);
+    return res.body.data.token;
+  };
+
+  test('issues a short-lived token scoped to the stream', async () => {
+    const decoded = jwt.decode(await streamToken());
+
+    expect(decoded.userId).toBe(user._id.toString());
+    expect(decoded.scope).toBe('events');
+    expect(decoded.exp - decoded.iat).toBe(60);
+  });
+
+  test('opens the stream with a stream token in the query string', async () => {
+    const res = await request(app).get('/api/events/stream').query({ token: await streamToken() });
+
+    expect(res.status).toBe(503);
+  });
+
+  test('still accepts the login token in the Authorization header', async () => {
+    const res = await request(app).get('/api/events/stream').set('Authorization', bearer(user));
+
+    expect(res.status).toBe(503);
+  });
+
+  test('refuses the login token in the query string', async () => {
+    const token = bearer(user).split(' ')[1];
+    const res = await request(app).get('/api/events/stream').query({ token });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('a stream token is not accepted as a login token', async () => {
+    const res = await request(app)
+      .post('/api/events/token')
+      .set('Authorization', `Bearer ${await streamToken()}`);
+
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,42 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Mount a single router the way app.js does, without the rest of the app
+const appWith = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+// An in-memory user; nothing is written to a database
+const makeUser = (fields = {}) => new User({
+  firstName: 'Test',
+  lastName: 'User',
+  username: `user${Math.random().toString(36).slice(2, 8)}`,
+  email: `${new mongoose.Types.ObjectId()}@example.com`,
+  password: 'secret123',
+  ...fields
+});
+
+// Serve these users from User.findById (used by the auth middleware and the routes)
+const serveUsers = (...users) => jest.spyOn(User, 'findById').mockImplementation((userId) => {
+  const user = users.find(candidate => candidate._id.equals(userId)) || null;
+  const result = Promise.resolve(user);
+  result.select = () => result;
+  result.session = () => result;
+  return result;
+});
+
+const bearer = user => `Bearer ${jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET)}`;
+
+module.exports = {
+  appWith,
+  makeUser,
+  serveUsers,
+  bearer
+};
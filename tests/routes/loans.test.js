@@ -0,0 +1,55 @@
+const request = require('supertest');
+const Book = require('../../models/Book');
+const Loan = require('../../models/Loan');
+const { appWith, makeUser, serveUsers, bearer } = require('./helpers');
+
+const app = appWith('/api/loans', require('../../routes/loans'));
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('POST /api/loans', () => {
+  let owner;
+  let borrower;
+  let book;
+
+  beforeEach(() => {
+    owner = makeUser();
+    borrower = makeUser();
+    serveUsers(owner, borrower);
+
+    book = new Book({
+      title: 'Dune',
+      author: 'Frank Herbert',
+      genre: 'Science Fiction',
+      condition: 'Good',
+      owner: owner._id,
+      listingType: 'giveaway'
+    });
+    jest.spyOn(Book, 'findById').mockResolvedValue(book);
+    jest.spyOn(Loan.prototype, 'saveInTransaction').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const borrow = user => request(app)
+    .post('/api/loans')
+    .set('Authorization', bearer(user))
+    .send({ bookId: book._id.toString(), dueDate: new Date(Date.now() + 14 * DAY).toISOString() });
+
+  test('refuses to lend out a giveaway listing', async () => {
+    const res = await borrow(borrower);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/giveaway/i);
+    expect(Loan.prototype.saveInTransaction).not.toHaveBeenCalled();
+  });
+
+  test('refuses to let owners borrow their own book', async () => {
+    book.listingType = 'swap';
+    const res = await borrow(owner);
+
+    expect(res.status).toBe(400);
+    expect(Loan.prototype.saveInTransaction).not.toHaveBeenCalled();
+  });
+});
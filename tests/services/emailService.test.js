@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const emailService = require('../../services/emailService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('emailService templates', () => {
+  const user = { email: 'reader@example.com', firstName: '<a href="https://evil.example">Claim</a>' };
+  const book = { _id: id(), title: '<b>Dune</b>', author: 'Frank Herbert', condition: 'Good' };
+  const swap = {
+    _id: id(),
+    requestedBooks: [book],
+    offeredBooks: [{ title: 'Emma & Persuasion' }],
+    expiresAt: new Date(),
+    meetingDate: new Date()
+  };
+
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    jest.spyOn(emailService.transporter, 'sendMail').mockImplementation(async (mail) => {
+      sent.push(mail);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test.each([
+    ['welcome', () => emailService.sendWelcomeEmail(user)],
+    ['verification', () => emailService.sendVerificationEmail(user, 'token')],
+    ['password reset', () => emailService.sendPasswordResetEmail(user, 'token')],
+    ['swap expired', () => emailService.sendSwapExpiredEmail(user, swap)],
+    ['expiry reminder', () => emailService.sendExpiryReminderEmail(user, swap)],
+    ['meeting reminder', () => emailService.sendMeetingReminderEmail(user, swap, 24)],
+    ['waitlist', () => emailService.sendWaitlistAvailableEmail(user, book, new Date())],
+    ['want-list match', () => emailService.sendWantListMatchEmail(user, book)]
+  ])('the %s email escapes the recipient name', async (name, send) => {
+    await send();
+
+    expect(sent).toHaveLength(1);
+    const { html } = sent[0];
+    expect(html).not.toContain('<a href="https://evil.example">');
+    expect(html).toContain('&lt;a href=&quot;https://evil.example&quot;&gt;Claim&lt;/a&gt;');
+  });
+
+  test('book titles are escaped as well', async () => {
+    await emailService.sendSwapExpiredEmail(user, swap);
+
+    expect(sent[0].html).toContain('&lt;b&gt;Dune&lt;/b&gt;');
+    expect(sent[0].html).toContain('Emma &amp; Persuasion');
+  });
+
+  test('the want-list match email says how the book is offered', async () => {
+    await emailService.sendWantListMatchEmail(user, { ...book, listingType: 'swap' });
+    await emailService.sendWantListMatchEmail(user, { ...book, listingType: 'giveaway' });
+
+    expect(sent[0].html).toContain('is now available to swap');
+    expect(sent[1].html).toContain('is being given away');
+    expect(sent[1].html).not.toContain('swap.');
+  });
+});
@@ -0,0 +1,37 @@
+const { getStorage } = require('../../services/storage');
+const { removeImage } = require('../../services/imageService');
+
+describe('imageService.removeImage', () => {
+  const storage = getStorage();
+  const name = 'a1b2c3d4e5f6a1b2c3d4e5f6';
+
+  beforeEach(() => {
+    jest.spyOn(storage, 'delete').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('deletes every size of an image stored in the given folder', async () => {
+    await removeImage(storage.urlFor(`books/b1/${name}-large.webp`), { folder: 'books/b1' });
+
+    expect(storage.delete.mock.calls.map(([key]) => key).sort()).toEqual([
+      `books/b1/${name}-large.webp`,
+      `books/b1/${name}-medium.webp`,
+      `books/b1/${name}-thumb.webp`
+    ]);
+  });
+
+  test("leaves another book's upload alone", async () => {
+    await removeImage(storage.urlFor(`books/b2/${name}-large.webp`), { folder: 'books/b1' });
+    await removeImage(storage.urlFor(`books/b1/../b2/${name}-large.webp`), { folder: 'books/b1' });
+
+    expect(storage.delete).not.toHaveBeenCalled();
+  });
+
+  test('leaves external links and unknown names alone', async () => {
+    await removeImage('https://covers.example.com/dune.jpg', { folder: 'books/b1' });
+    await removeImage(storage.urlFor('books/b1/cover.webp'), { folder: 'books/b1' });
+
+    expect(storage.delete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+const User = require('../../models/User');
+const { buildWantGraph, findCycles } = require('../../services/matchingService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a find().select().sort().limit().lean() chain resolving to `docs`
+const chain = docs => ({
+  select() { return this; },
+  sort() { return this; },
+  limit() { return this; },
+  lean: () => Promise.resolve(docs)
+});
+
+describe('matchingService.buildWantGraph', () => {
+  const alice = id();
+  const bob = id();
+  const carol = id();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const build = async (books) => {
+    jest.spyOn(Book, 'find').mockReturnValue(chain(books));
+    jest.spyOn(User, 'find').mockReturnValue(chain([
+      { _id: alice, wantList: [{ title: 'Dune' }] }
+    ]));
+    return buildWantGraph();
+  };
+
+  test('only considers books listed for swapping', async () => {
+    await build([]);
+
+    expect(Book.find).toHaveBeenCalledWith(expect.objectContaining({ listingType: { $ne: 'giveaway' } }));
+  });
+
+  test('links a wanter to the owners of matching books', async () => {
+    const dune = { _id: id(), owner: bob, title: 'Dune' };
+    const graph = await build([dune]);
+
+    expect(graph.get(alice.toString()).get(bob.toString())).toEqual([dune._id]);
+  });
+
+  test('skips books held for another waitlisted user', async () => {
+    const soon = new Date(Date.now() + 60 * 60 * 1000);
+    const heldForCarol = { _id: id(), owner: bob, title: 'Dune', priorityHold: { user: carol, expiresAt: soon } };
+    const heldForAlice = { _id: id(), owner: carol, title: 'Dune', priorityHold: { user: alice, expiresAt: soon } };
+    const graph = await build([heldForCarol, heldForAlice]);
+
+    const edges = graph.get(alice.toString());
+    expect(edges.has(bob.toString())).toBe(false);
+    expect(edges.get(carol.toString())).toEqual([heldForAlice._id]);
+  });
+});
+
+describe('matchingService.findCycles', () => {
+  // Graph where each user wants a book from the next one listed
+  const graphOf = edges => new Map(Object.entries(edges).map(([user, owners]) => [
+    user,
+    new Map(owners.map(owner => [owner, [`${owner}-book`]]))
+  ]));
+
+  const graph = graphOf({
+    a: ['b', 'c'],
+    b: ['a', 'c'],
+    c: ['a', 'd'],
+    d: ['b']
+  });
+  const participants = legs => legs.map(leg => leg.receiver).join('');
+
+  test('finds each cycle once, shortest first', () => {
+    const cycles = findCycles(graph);
+
+    expect(cycles.map(participants)).toEqual(['ab', 'ac', 'abc', 'bcd', 'acdb']);
+    expect(cycles[0]).toEqual([
+      { giver: 'b', receiver: 'a', book: 'b-book' },
+      { giver: 'a', receiver: 'b', book: 'a-book' }
+    ]);
+  });
+
+  test('limits the search to cycles through the given user', () => {
+    expect(findCycles(graph, { forUser: 'd' }).map(participants)).toEqual(['dbc', 'dbac']);
+  });
+
+  test('stops once enough cycles are found', () => {
+    expect(findCycles(graph, { limit: 3 }).map(participants)).toEqual(['ab', 'ac', 'abc']);
+  });
+
+  test('stops after following maxSteps edges', () => {
+    expect(findCycles(graph, { maxSteps: 2 }).map(participants)).toEqual(['ab']);
+  });
+});
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { wantMatches } = require('../../services/wantListService');
+const { toPoint } = require('../../utils/geo');
+
+const book = (fields = {}) => ({
+  title: 'Dune',
+  author: 'Frank Herbert',
+  isbn: '9780441172719',
+  condition: 'Good',
+  location: 'London',
+  ...fields
+});
+
+describe('wantListService.wantMatches', () => {
+  const wanter = { location: 'London' };
+
+  test('matches on title (ignoring case and spacing) or on ISBN', () => {
+    expect(wantMatches({ title: '  dune ' }, wanter, book())).toBe(true);
+    expect(wantMatches({ isbn: '9780441172719' }, wanter, book({ title: 'Dune (Deluxe)' }))).toBe(true);
+    expect(wantMatches({ title: 'Dune Messiah' }, wanter, book())).toBe(false);
+  });
+
+  test('an author, when given, must match too', () => {
+    expect(wantMatches({ title: 'Dune', author: 'frank herbert' }, wanter, book())).toBe(true);
+    expect(wantMatches({ title: 'Dune', author: 'Brian Herbert' }, wanter, book())).toBe(false);
+  });
+
+  test('maxCondition accepts the given condition or better', () => {
+    expect(wantMatches({ title: 'Dune', maxCondition: 'Good' }, wanter, book({ condition: 'Like New' }))).toBe(true);
+    expect(wantMatches({ title: 'Dune', maxCondition: 'Good' }, wanter, book({ condition: 'Good' }))).toBe(true);
+    expect(wantMatches({ title: 'Dune', maxCondition: 'Good' }, wanter, book({ condition: 'Poor' }))).toBe(false);
+  });
+
+  describe('maxDistanceKm', () => {
+    const want = { title: 'Dune', maxDistanceKm: 50 };
+
+    test('uses coordinates when both sides have them', () => {
+      const near = { geo: toPoint(51.5, -0.12) };
+      expect(wantMatches(want, near, book({ geo: toPoint(51.6, -0.2) }))).toBe(true);
+      expect(wantMatches(want, near, book({ geo: toPoint(48.85, 2.35) }))).toBe(false);
+    });
+
+    test('falls back to the same place name without coordinates', () => {
+      expect(wantMatches(want, { location: 'london ' }, book())).toBe(true);
+    });
+
+    test('an unknown distance does not rule a book out', () => {
+      expect(wantMatches(want, { location: 'Leeds' }, book())).toBe(true);
+      expect(wantMatches(want, {}, book({ location: '' }))).toBe(true);
+    });
+  });
+});
+
+describe('wantListService.notifyWanters', () => {
+  const User = require('../../models/User');
+  const emailService = require('../../services/emailService');
+  const eventService = require('../../services/eventService');
+  const { notifyWanters } = require('../../services/wantListService');
+
+  let wanter;
+  let listing;
+
+  beforeEach(() => {
+    wanter = new User({ firstName: 'Ada', email: 'ada@example.com', wantList: [{ title: 'Dune' }] });
+    listing = book({ _id: new mongoose.Types.ObjectId(), owner: new mongoose.Types.ObjectId(), isAvailable: true, isActive: true });
+    jest.spyOn(User, 'find').mockReturnValue({ select: () => Promise.resolve([wanter]) });
+    jest.spyOn(eventService, 'publish').mockResolvedValue();
+    jest.spyOn(emailService, 'sendWantListMatchEmail').mockResolvedValue(true);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('looks wanters up by title key and ISBN, not by pattern', async () => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await notifyWanters(listing);
+
+    expect(User.find).toHaveBeenCalledWith(expect.objectContaining({
+      $or: [{ 'wantList.titleKey': 'dune' }, { 'wantList.isbn': '9780441172719' }]
+    }));
+  });
+
+  test('records the book on the want-list entry and alerts once', async () => {
+    jest.spyOn(User, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(await notifyWanters(listing)).toBe(1);
+    expect(await notifyWanters(listing)).toBe(0);
+
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: wanter._id, 'wantList.notifiedBooks': { $ne: listing._id } },
+      { $addToSet: { 'wantList.$[item].notifiedBooks': listing._id } },
+      { arrayFilters: [{ 'item._id': { $in: [wanter.wantList[0]._id] } }] }
+    );
+    expect(emailService.sendWantListMatchEmail).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,55 @@
+const { toPoint, isPoint, parseLatLng, parseBbox, distanceKm, fuzzPoint } = require('../../utils/geo');
+
+const london = toPoint(51.5074, -0.1278);
+const paris = toPoint(48.8566, 2.3522);
+
+describe('utils/geo', () => {
+  test('toPoint stores GeoJSON [lng, lat]', () => {
+    expect(london).toEqual({ type: 'Point', coordinates: [-0.1278, 51.5074] });
+    expect(isPoint(london)).toBe(true);
+    expect(isPoint({ type: 'Point', coordinates: [] })).toBe(false);
+    expect(isPoint(undefined)).toBe(false);
+  });
+
+  test('parseLatLng reads "lat,lng" and rejects out-of-range values', () => {
+    expect(parseLatLng(' 51.5, -0.12 ')).toEqual({ lat: 51.5, lng: -0.12 });
+    expect(parseLatLng('91,0')).toBeNull();
+    expect(parseLatLng('51.5')).toBeNull();
+    expect(parseLatLng('a,b')).toBeNull();
+  });
+
+  test('parseBbox allows boxes across the antimeridian but not upside-down ones', () => {
+    expect(parseBbox('-10,40,10,60')).toEqual({ minLng: -10, minLat: 40, maxLng: 10, maxLat: 60 });
+    expect(parseBbox('170,-10,-170,10')).toEqual({ minLng: 170, minLat: -10, maxLng: -170, maxLat: 10 });
+    expect(parseBbox('-10,60,10,40')).toBeNull();
+    expect(parseBbox('1,2,3')).toBeNull();
+  });
+
+  test('distanceKm is the great-circle distance', () => {
+    expect(distanceKm(london, london)).toBe(0);
+    expect(distanceKm(london, paris)).toBeCloseTo(343.5, 0);
+    expect(distanceKm(paris, london)).toBeCloseTo(distanceKm(london, paris), 10);
+  });
+
+  describe('fuzzPoint', () => {
+    test('moves the point, but by no more than about a kilometre', () => {
+      const fuzzed = fuzzPoint(london, 'owner-1');
+      expect(fuzzed).not.toEqual(london);
+      expect(distanceKm(london, fuzzed)).toBeLessThan(1.5);
+    });
+
+    test('is stable for the same seed, so averaging listings reveals nothing', () => {
+      expect(fuzzPoint(london, 'owner-1')).toEqual(fuzzPoint(london, 'owner-1'));
+      expect(fuzzPoint(london, 'owner-1')).not.toEqual(fuzzPoint(london, 'owner-2'));
+    });
+
+    test('gives nearby homes of one owner the same public position', () => {
+      const nearby = toPoint(51.5075, -0.1279);
+      expect(fuzzPoint(nearby, 'owner-1')).toEqual(fuzzPoint(london, 'owner-1'));
+    });
+
+    test('returns undefined without a point', () => {
+      expect(fuzzPoint(undefined, 'owner-1')).toBeUndefined();
+    });
+  });
+});
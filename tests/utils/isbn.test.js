@@ -0,0 +1,35 @@
+const { cleanIsbn, isValidIsbn10, isValidIsbn13, isValidIsbn, toIsbn13 } = require('../../utils/isbn');
+
+describe('utils/isbn', () => {
+  test('cleanIsbn strips punctuation and an ISBN prefix', () => {
+    expect(cleanIsbn('ISBN-13: 978-0-441-17271-9')).toBe('9780441172719');
+    expect(cleanIsbn('0 8044 2957 x')).toBe('080442957X');
+    expect(cleanIsbn(undefined)).toBe('');
+  });
+
+  test('checks ISBN-10 checksums, including an X check digit', () => {
+    expect(isValidIsbn10('0441172717')).toBe(true);
+    expect(isValidIsbn10('080442957X')).toBe(true);
+    expect(isValidIsbn10('0441172718')).toBe(false);
+    expect(isValidIsbn10('04411727')).toBe(false);
+  });
+
+  test('checks ISBN-13 checksums and the 978/979 prefix', () => {
+    expect(isValidIsbn13('9780441172719')).toBe(true);
+    expect(isValidIsbn13('9780441172710')).toBe(false);
+    expect(isValidIsbn13('1230441172719')).toBe(false);
+  });
+
+  test('isValidIsbn accepts either form however it is punctuated', () => {
+    expect(isValidIsbn('0-441-17271-7')).toBe(true);
+    expect(isValidIsbn('978-0-441-17271-9')).toBe(true);
+    expect(isValidIsbn('not an isbn')).toBe(false);
+  });
+
+  test('toIsbn13 normalizes ISBN-10 and ISBN-13 to ISBN-13', () => {
+    expect(toIsbn13('0-441-17271-7')).toBe('9780441172719');
+    expect(toIsbn13('080442957X')).toBe('9780804429573');
+    expect(toIsbn13('978 0 441 17271 9')).toBe('9780441172719');
+    expect(toIsbn13('0441172718')).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+const Book = require('../models/Book');
+
+// Filters shared by the book listing (GET /api/books) and saved searches
+const FILTER_FIELDS = ['search', 'genre', 'condition', 'language', 'location', 'listingType'];
+
+// Validators for the filters; `check` is express-validator's `query` or `body`,
+// `prefix` the path the filters sit under (e.g. 'filters.')
+const bookFilterValidators = (check, prefix = '') => [
+  // Not escaped: quotes and leading dashes are search syntax, and $text takes no regex
+  check(`${prefix}search`).optional().trim().isLength({ max: 200 }).withMessage('Search must be less than 200 characters'),
+  check(`${prefix}genre`).optional().trim().escape(),
+  check(`${prefix}condition`).optional().isIn(Book.CONDITIONS),
+  check(`${prefix}language`).optional().trim().escape(),
+  check(`${prefix}location`).optional().trim().escape(),
+  check(`${prefix}listingType`).optional().isIn(Book.LISTING_TYPES)
+];
+
+// Keep only the known, non-empty filters from `source`
+const pickBookFilters = (source = {}) => FILTER_FIELDS.reduce((filters, field) => {
+  if (source[field] !== undefined && source[field] !== null && source[field] !== '') {
+    filters[field] = source[field];
+  }
+  return filters;
+}, {});
+
+// Build the MongoDB query for available books matching the filters
+const buildBookFilter = (source = {}) => {
+  const { search, genre, condition, language, location, listingType } = pickBookFilters(source);
+  const filter = { isAvailable: true, isActive: true };
+
+  // Full-text search on the weighted text index: words, "phrases" and -negated words
+  if (search) filter.$text = { $search: search };
+  if (genre) filter.genre = genre;
+  if (condition) filter.condition = condition;
+  if (language) filter.language = language;
+  if (location) filter.location = { $regex: location, $options: 'i' };
+  if (listingType) filter.listingType = listingType;
+
+  return filter;
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  bookFilterValidators,
+  pickBookFilters,
+  buildBookFilter
+};
@@ -0,0 +1,110 @@
+// Minimal iCalendar (RFC 5545) builder for swap meetings
+
+const PRODUCT_ID = '-//BookSwap//Swap Meetings//EN';
+// Swaps only store a start time, so events get a fixed length
+const MEETING_DURATION_MS = 60 * 60 * 1000;
+
+// Escape text values (backslash, semicolon, comma and newlines)
+const escapeText = value => (value || '').toString()
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Format a date as a UTC date-time, e.g. 20240131T143000Z
+const formatDate = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold lines longer than 75 octets, continuing with a leading space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const titlesOf = (books = []) => books
+  .filter(book => book && book.title)
+  .map(book => book.title)
+  .join(', ') || 'a book';
+
+const personOf = (user, role) => {
+  if (!user || !user.email) return null;
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username || user.email;
+  return `${role};CN=${escapeText(name)}:mailto:${user.email}`;
+};
+
+// Build the VEVENT lines for a swap meeting.
+// Expects requester/owner and the book arrays to be populated.
+const swapEvent = (swap, { cancelled = false } = {}) => {
+  const start = new Date(swap.meetingDate);
+  const swapUrl = `${process.env.FRONTEND_URL}/swaps/${swap._id}`;
+  const description = [
+    `Requested: ${titlesOf(swap.requestedBooks)}`,
+    `Offered: ${titlesOf(swap.offeredBooks)}`,
+    swapUrl
+  ].join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:swap-${swap._id}@bookswap`,
+    `SEQUENCE:${swap.meetingSequence || 0}`,
+    `DTSTAMP:${formatDate(swap.updatedAt || Date.now())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(start.getTime() + MEETING_DURATION_MS)}`,
+    `SUMMARY:${escapeText(`Book swap: ${titlesOf(swap.requestedBooks)}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${swapUrl}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (swap.meetingLocation) {
+    lines.push(`LOCATION:${escapeText(swap.meetingLocation)}`);
+  }
+  if (process.env.EMAIL_FROM) {
+    const organizer = (process.env.EMAIL_FROM.match(/<([^>]+)>/) || [])[1] || process.env.EMAIL_FROM;
+    lines.push(`ORGANIZER;CN=BookSwap:mailto:${organizer}`);
+  }
+  [personOf(swap.requester, 'ATTENDEE'), personOf(swap.owner, 'ATTENDEE')]
+    .filter(Boolean)
+    .forEach(attendee => lines.push(attendee));
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Wrap events into a calendar. `method` is PUBLISH for downloads and feeds,
+// REQUEST for email invites and CANCEL for cancellations.
+const buildCalendar = (swaps, { method = 'PUBLISH', name = null } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  swaps
+    .filter(swap => swap.meetingDate)
+    .forEach(swap => lines.push(...swapEvent(swap, { cancelled: method === 'CANCEL' || swap.status === 'cancelled' })));
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  formatDate,
+  foldLine,
+  buildCalendar
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { runStartupMigrations } = require('./indexes');
 
 let isConnected = 0; // 0 = disconnected, 1 = connecting, 2 = connected
 
@@ -22,6 +23,7 @@ async function dbConnect() {
       // options can be added here if needed
     });
     isConnected = 2;
+    await runStartupMigrations();
     return mongoose.connection;
   } catch (err) {
     isConnected = 0;
@@ -0,0 +1,10 @@
+// Error carrying an HTTP status code, understood by the error handler and routes
+class AppError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = { AppError };
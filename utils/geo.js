@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+const EARTH_RADIUS_KM = 6371;
+// Public book positions are snapped to a grid of this many degrees (~1 km) and
+// shifted by a fixed per-owner offset, so an owner's home cannot be pinpointed
+const FUZZ_GRID_DEG = 0.01;
+
+// GeoJSON Point from latitude and longitude (GeoJSON stores [lng, lat])
+const toPoint = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// Whether a value is a usable GeoJSON Point
+const isPoint = point => Boolean(point && Array.isArray(point.coordinates) && point.coordinates.length === 2);
+
+// Parse "lat,lng" into { lat, lng }; null when malformed or out of range
+const parseLatLng = (value) => {
+  const parts = String(value || '').split(',').map(part => Number(part.trim()));
+  if (parts.length !== 2 || parts.some(Number.isNaN)) return null;
+  const [lat, lng] = parts;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  return { lat, lng };
+};
+
+// Parse a "minLng,minLat,maxLng,maxLat" bounding box; null when malformed.
+// minLng may exceed maxLng when the box crosses the antimeridian.
+const parseBbox = (value) => {
+  const parts = String(value || '').split(',').map(part => Number(part.trim()));
+  if (parts.length !== 4 || parts.some(Number.isNaN)) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if ([minLng, maxLng].some(lng => lng < -180 || lng > 180)) return null;
+  if ([minLat, maxLat].some(lat => lat < -90 || lat > 90) || minLat > maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+// Great-circle distance between two GeoJSON Points, in km
+const distanceKm = (from, to) => {
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+  const rad = degrees => degrees * Math.PI / 180;
+
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Blur an exact point for public display. `seed` (e.g. the owner's id) makes the
+// offset stable, so listing several books doesn't let anyone average it away.
+const fuzzPoint = (point, seed) => {
+  if (!isPoint(point)) return undefined;
+
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  // Offsets within +/- 40% of a grid cell, one per axis
+  const offset = byte => (hash[byte] / 255 - 0.5) * 0.8 * FUZZ_GRID_DEG;
+  const snap = value => Math.round(value / FUZZ_GRID_DEG) * FUZZ_GRID_DEG;
+  const round = value => Number(value.toFixed(5));
+
+  const [lng, lat] = point.coordinates;
+  return toPoint(
+    round(Math.max(-90, Math.min(90, snap(lat) + offset(0)))),
+    round(Math.max(-180, Math.min(180, snap(lng) + offset(1))))
+  );
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toPoint,
+  isPoint,
+  parseLatLng,
+  parseBbox,
+  distanceKm,
+  fuzzPoint
+};
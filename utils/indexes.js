@@ -0,0 +1,59 @@
+const Book = require('../models/Book');
+const User = require('../models/User');
+const { toIsbn13 } = require('./isbn');
+
+// A collection can hold a single text index, and MongoDB will not replace one on its own:
+// drop any text index on books other than the current one, then build the missing indexes.
+// Safe to run on every start; it does nothing once the collection is up to date.
+const migrateBookTextIndex = async () => {
+  let indexes = [];
+  try {
+    indexes = await Book.collection.indexes();
+  } catch (error) {
+    // The collection does not exist yet; createIndexes() below creates it
+    if (error.codeName !== 'NamespaceNotFound') throw error;
+  }
+
+  const current = Book.schema.indexes()
+    .find(([fields]) => Object.values(fields).includes('text'))[1].name;
+
+  for (const index of indexes) {
+    if (index.key._fts === 'text' && index.name !== current) {
+      await Book.collection.dropIndex(index.name);
+      console.warn(`Startup migration: dropped outdated book text index ${index.name}`);
+    }
+  }
+  await Book.createIndexes();
+};
+
+// Want-list entries saved before title keys existed are invisible to new-listing alerts:
+// derive their keys (and store their ISBNs as ISBN-13) once.
+const backfillWantListKeys = async () => {
+  const users = User.find({
+    wantList: { $elemMatch: { title: { $nin: [null, ''] }, titleKey: { $exists: false } } }
+  }).select('wantList').cursor();
+
+  for await (const user of users) {
+    user.wantList.forEach((item) => {
+      if (item.isbn) item.isbn = toIsbn13(item.isbn) || item.isbn;
+    });
+    user.markModified('wantList');
+    await user.save({ validateModifiedOnly: true });
+  }
+};
+
+// Schema migrations to run once connected; failures are logged, the app still starts
+const runStartupMigrations = async () => {
+  try {
+    await migrateBookTextIndex();
+    await backfillWantListKeys();
+  } catch (error) {
+    console.error('Startup migration error:', error);
+  }
+};
+
+module.exports = {
+  migrateBookTextIndex,
+  backfillWantListKeys,
+  runStartupMigrations
+};
@@ -0,0 +1,48 @@
+// ISBN-10 / ISBN-13 checksums and normalization to ISBN-13
+
+// Strip hyphens, spaces and any "ISBN" prefix; keeps digits and a trailing X
+const cleanIsbn = value => String(value || '')
+  .toUpperCase()
+  .replace(/^ISBN(-1[03])?:?/, '')
+  .replace(/[^0-9X]/g, '');
+
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((total, char, index) => {
+    const digit = char === 'X' ? 10 : Number(char);
+    return total + digit * (10 - index);
+  }, 0);
+  return sum % 11 === 0;
+};
+
+// Check digit for the first 12 digits of an ISBN-13
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn13 = isbn => /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+
+// Whether the value is a valid ISBN-10 or ISBN-13, however it is punctuated
+const isValidIsbn = (value) => {
+  const isbn = cleanIsbn(value);
+  return isValidIsbn10(isbn) || isValidIsbn13(isbn);
+};
+
+// Normalize any valid ISBN to its ISBN-13 form; null when the value is not a valid ISBN
+const toIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (!isValidIsbn10(isbn)) return null;
+
+  const first12 = `978${isbn.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+};
+
+module.exports = {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidIsbn,
+  toIsbn13
+};
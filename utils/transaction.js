@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Run `fn(session)` inside a MongoDB transaction.
+// When a session is passed in, the caller already owns a transaction and `fn` joins it.
+async function withTransaction(fn, session = null) {
+  if (session) {
+    return fn(session);
+  }
+  return mongoose.connection.transaction(fn);
+}
+
+module.exports = withTransaction;